@@ -0,0 +1,166 @@
+// Cron expressions for recurring schedules.
+//
+// The usual five fields (minute, hour, day of month, month, day of week) with
+// lists, ranges, steps and JAN-DEC / SUN-SAT names, plus @hourly, @daily,
+// @weekly, @monthly and @yearly. Expressions are evaluated in a timezone. When
+// both day fields are restricted a day matching either runs, as in Vixie cron.
+// Local times skipped by a daylight saving change don't run that day.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// An expression that hasn't run within this long (e.g. 30 February) never will
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map();
+
+// A number or a month / weekday name; NaN when it is neither
+function parseValue(text, field) {
+    if (/^\d+$/.test(text)) return Number(text);
+    const index = field.names ? field.names.indexOf(String(text).toUpperCase()) : -1;
+    if (index === -1) return NaN;
+    return field.name === 'month' ? index + 1 : index;
+}
+
+// Allowed values of one field, sorted
+function parseField(text, field) {
+    const values = new Set();
+    
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let [low, high] = [field.min, field.max];
+        
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            low = parseValue(from, field);
+            high = to === undefined ? (stepText === undefined ? low : field.max) : parseValue(to, field);
+        }
+        
+        if (!Number.isInteger(step) || step < 1 || !(low >= field.min && high <= field.max && low <= high)) {
+            throw new Error(`Invalid ${field.name} in cron expression: ${part}`);
+        }
+        for (let value = low; value <= high; value += step) values.add(value);
+    }
+    
+    // 7 is another way of writing Sunday
+    if (field.name === 'day of week' && values.delete(7)) values.add(0);
+    return [...values].sort((a, b) => a - b);
+}
+
+// Throws on an invalid expression
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+    
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    return {
+        minutes,
+        hours,
+        days: new Set(days),
+        months: new Set(months),
+        weekdays: new Set(weekdays),
+        anyDay: fields[2] === '*',
+        anyWeekday: fields[4] === '*'
+    };
+}
+
+function localParts(date, timezone) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        });
+        formatters.set(timezone, formatter);
+    }
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAYS[parts.weekday],
+        hour: Number(parts.hour),
+        minute: Number(parts.minute)
+    };
+}
+
+function dayMatches(schedule, local) {
+    const day = schedule.days.has(local.day);
+    const weekday = schedule.weekdays.has(local.weekday);
+    if (schedule.anyDay || schedule.anyWeekday) return day && weekday;
+    return day || weekday;
+}
+
+// First run strictly after `after`, or null if there is none
+function nextRun(expression, after, timezone = 'UTC') {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+    let t = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    
+    while (t <= limit) {
+        const local = localParts(new Date(t), timezone);
+        const minuteOfDay = local.hour * 60 + local.minute;
+        
+        if (!schedule.months.has(local.month) || !dayMatches(schedule, local)) {
+            // Jump to an hour before local midnight; DST days can be an hour short
+            t += Math.max(60 - local.minute, 24 * 60 - minuteOfDay - 60) * MINUTE_MS;
+        } else if (!schedule.hours.includes(local.hour)) {
+            t += (60 - local.minute) * MINUTE_MS;
+        } else {
+            const minute = schedule.minutes.find(m => m >= local.minute);
+            if (minute === local.minute) return new Date(t);
+            t += (minute === undefined ? 60 - local.minute : minute - local.minute) * MINUTE_MS;
+        }
+    }
+    return null;
+}
+
+// Runs from `start` (exclusive) up to `end` (inclusive), at most `limit` of them
+function occurrences(expression, start, end, timezone = 'UTC', limit = 1000) {
+    const schedule = parseCron(expression);
+    const runs = [];
+    let run = nextRun(schedule, start, timezone);
+    while (run && run <= end && runs.length < limit) {
+        runs.push(run);
+        run = nextRun(schedule, run, timezone);
+    }
+    return runs;
+}
+
+function validateCron(expression, timezone = 'UTC') {
+    try {
+        if (!nextRun(expression, new Date(), timezone)) return 'Cron expression never runs';
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun, occurrences, validateCron };
@@ -0,0 +1,56 @@
+// Idempotency records for the send routes.
+//
+// The first response to a request carrying an idempotency key is stored and
+// replayed for repeats within the window, so a client retrying after a timeout
+// doesn't send the same SMS twice. Records are keyed by a hash of route, caller
+// and key and kept in a record log (lib/storage/record-log.js) by expiry, so
+// storing one writes just that record and expired ones are pruned.
+
+function createIdempotencyStore() {
+    let log = null;
+    const inFlight = new Set();
+    
+    const isLive = (record, now) => new Date(record.expiresAt) > now;
+    
+    return {
+        // Adopt the record log the records are kept in
+        load(recordLog) {
+            log = recordLog;
+        },
+        
+        // Claim an id for a new request. Returns "replay" (with the stored
+        // record), "mismatch" when the key was used for a different request,
+        // "in-flight" while the first request is still running, or "new".
+        begin(id, fingerprint, now = new Date()) {
+            const [record] = log.find({ where: { id }, limit: 1 });
+            if (record && isLive(record, now)) {
+                return record.fingerprint === fingerprint ? { state: 'replay', record } : { state: 'mismatch' };
+            }
+            if (inFlight.has(id)) return { state: 'in-flight' };
+            inFlight.add(id);
+            return { state: 'new' };
+        },
+        
+        // Store the response for a claimed id, replacing an expired record with
+        // the same id; resolves to false when it couldn't be saved
+        complete(record) {
+            inFlight.delete(record.id);
+            const expired = log.find({ where: { id: record.id } });
+            const removed = expired.length > 0 ? log.remove(expired) : Promise.resolve(true);
+            const added = log.add(record);
+            return Promise.all([removed, added]).then(saved => saved.every(Boolean));
+        },
+        
+        // Drop expired records; { removed, saved }
+        prune(now = new Date()) {
+            return log.prune(now.toISOString());
+        },
+        
+        // Give up a claim without storing a response (server errors, aborted requests)
+        release(id) {
+            inFlight.delete(id);
+        }
+    };
+}
+
+module.exports = { createIdempotencyStore };
@@ -0,0 +1,119 @@
+// Background worker for bulk send jobs.
+//
+// Jobs are plain objects that the caller persists (the "jobs" data set); the
+// queue walks each job's pending recipients with a few workers in parallel and
+// no faster than the job's rate, and checkpoints progress through save(). Jobs
+// run one at a time so the configured throughput is the account's total.
+//
+// A job interrupted by a restart is simply started again: recipients that are
+// no longer "pending" are skipped. Anything sent after the last checkpoint may
+// be sent twice, so checkpoints are frequent.
+
+const CHECKPOINT_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A cancelled job's unsent recipients leave `pending` for `cancelled`, so the
+// summary still adds up to the total
+function cancelPending(job) {
+    let cancelled = 0;
+    for (const recipient of job.recipients) {
+        if (recipient.status !== 'pending') continue;
+        recipient.status = 'cancelled';
+        cancelled++;
+    }
+    job.summary.pending -= cancelled;
+    job.summary.cancelled = (job.summary.cancelled || 0) + cancelled;
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+}
+
+function createJobQueue({ processItem, save, log }) {
+    const queue = [];
+    let current = null;
+    let draining = false;
+    
+    async function runJob(job) {
+        current = { job, cancelled: false };
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        await save();
+        
+        const pending = job.recipients.filter(r => r.status === 'pending');
+        const interval = 1000 / job.ratePerSecond;
+        let next = 0;
+        let nextSlot = Date.now();
+        let lastSave = Date.now();
+        
+        const worker = async () => {
+            while (!current.cancelled && next < pending.length) {
+                const recipient = pending[next++];
+                
+                // Reserve the next send slot before waiting so workers stay spaced out
+                const wait = nextSlot - Date.now();
+                nextSlot = Math.max(nextSlot, Date.now()) + interval;
+                if (wait > 0) await sleep(wait);
+                if (current.cancelled) break;
+                
+                try {
+                    await processItem(job, recipient);
+                } catch (error) {
+                    Object.assign(recipient, { status: 'failed', error: error.message });
+                }
+                job.summary.pending--;
+                job.summary[recipient.status] = (job.summary[recipient.status] || 0) + 1;
+                
+                if (Date.now() - lastSave >= CHECKPOINT_MS) {
+                    lastSave = Date.now();
+                    save();
+                }
+            }
+        };
+        
+        const workers = Math.max(1, Math.min(job.concurrency, pending.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        
+        if (current.cancelled) {
+            cancelPending(job);
+        } else {
+            job.status = 'completed';
+            job.finishedAt = new Date().toISOString();
+        }
+        current = null;
+        await save();
+        
+        log(`Bulk job ${job.id} ${job.status}: ${job.summary.sent} sent, ${job.summary.blocked} blocked, ${job.summary.failed} failed`);
+    }
+    
+    async function drain() {
+        if (draining) return;
+        draining = true;
+        while (queue.length > 0) {
+            await runJob(queue.shift());
+        }
+        draining = false;
+    }
+    
+    return {
+        enqueue(job) {
+            queue.push(job);
+            drain();
+        },
+        
+        // Returns false when the job has already finished
+        cancel(job) {
+            if (current && current.job === job) {
+                current.cancelled = true;
+                job.status = 'cancelling';
+                return true;
+            }
+            const index = queue.indexOf(job);
+            if (index === -1) return false;
+            queue.splice(index, 1);
+            cancelPending(job);
+            return true;
+        }
+    };
+}
+
+module.exports = { createJobQueue, cancelPending };
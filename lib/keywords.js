@@ -0,0 +1,186 @@
+// Keyword matching for inbound SMS.
+//
+// Texts are compared after stripping accents, punctuation and emoji and
+// collapsing whitespace, so "Stop." , "stop please 🙏" and "ARRÊT" all match.
+// A keyword matches when it is the whole message or its first word(s).
+
+const KEYWORD_TYPES = ['optout', 'optin', 'help'];
+
+// Built-in keyword packs; CTIA is the US carrier standard
+const KEYWORD_PACKS = {
+    ctia: {
+        label: 'CTIA (English)',
+        optout: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+        optin: ['START', 'STARTALL', 'UNSTOP', 'YES'],
+        help: ['HELP', 'INFO']
+    },
+    fr: {
+        label: 'French',
+        optout: ['ARRET', 'STOP', 'DESABONNER', 'DESINSCRIRE', 'ANNULER'],
+        optin: ['COMMENCER', 'REPRENDRE'],
+        help: ['AIDE']
+    },
+    es: {
+        label: 'Spanish',
+        optout: ['ALTO', 'PARAR', 'BAJA', 'CANCELAR', 'DETENER'],
+        optin: ['COMENZAR', 'INICIAR', 'ALTA'],
+        help: ['AYUDA']
+    },
+    de: {
+        label: 'German',
+        optout: ['STOPP', 'ABMELDEN', 'ABBESTELLEN', 'BEENDEN'],
+        optin: ['ANMELDEN', 'STARTEN'],
+        help: ['HILFE']
+    }
+};
+
+// Packs new configs start with. Configs saved before packs existed have no
+// keywordPacks and keep matching only their own phrases.
+const DEFAULT_KEYWORD_PACKS = ['ctia'];
+const DEFAULT_PHRASES = { optout: 'STOP', optin: 'START', help: 'HELP,INFO' };
+// Reply that confirms a double opt-in
+const DEFAULT_CONFIRM_PHRASE = 'YES';
+const MAX_REGEX_LENGTH = 200;
+// Regexes only see the start of a message, which bounds the cost of any
+// pattern the repeat check lets through
+const MAX_REGEX_TEXT_LENGTH = 160;
+
+function normalizeKeywordText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toUpperCase();
+}
+
+// Comma-separated phrase list from a config field
+function parsePhrases(value) {
+    return String(value || '').split(',').map(normalizeKeywordText).filter(Boolean);
+}
+
+function matchesKeyword(text, keyword) {
+    return text === keyword || text.startsWith(keyword + ' ');
+}
+
+function getKeywordPacks(optoutConfig) {
+    return Array.isArray(optoutConfig.keywordPacks) ? optoutConfig.keywordPacks : [];
+}
+
+// Whether a regex repeats a group that itself contains a repeat, like (a+)+ or
+// (\w*\s?)*, or repeats a group with alternatives, like (a|a)+ or (a|ab)*. Those
+// can backtrack exponentially, and the patterns run on text anyone can send, so
+// they are refused. Alternatives are refused even when they can't overlap, since
+// telling the two apart needs more than a scan of the pattern.
+function hasUnsafeRepeat(pattern) {
+    const repeats = i => pattern[i] === '+' || pattern[i] === '*' || /^\{\d*,/.test(pattern.slice(i));
+    // Fixed counts like {20} repeat an alternation as badly as +
+    const counted = i => repeats(i) || /^\{\d+\}/.test(pattern.slice(i));
+    // Per open group: whether anything inside it repeats, and whether it has alternatives
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false, alternates: false });
+        } else if ((char === '|' || (char === '?' && pattern[i - 1] !== '(')) && groups.length > 0) {
+            // An optional part is an alternative too: (a?)+ is as slow as (a|)+
+            groups[groups.length - 1].alternates = true;
+        } else if (char === ')' && groups.length > 0) {
+            const inner = groups.pop();
+            if (inner.repeats && repeats(i + 1)) return true;
+            if (inner.alternates && counted(i + 1)) return true;
+            if (groups.length > 0) {
+                const outer = groups[groups.length - 1];
+                if (inner.repeats || repeats(i + 1)) outer.repeats = true;
+                if (inner.alternates || pattern[i + 1] === '?') outer.alternates = true;
+            }
+        } else if (repeats(i) && groups.length > 0) {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return false;
+}
+
+function validateKeywordSettings(settings) {
+    if (settings.keywordPacks !== undefined) {
+        if (!Array.isArray(settings.keywordPacks)) return 'keywordPacks must be an array';
+        const unknown = settings.keywordPacks.find(pack => !KEYWORD_PACKS[pack]);
+        if (unknown) return `Unknown keyword pack: ${unknown}. Use ${Object.keys(KEYWORD_PACKS).join(', ')}`;
+    }
+
+    for (const type of KEYWORD_TYPES) {
+        const pattern = settings[`${type}Regex`];
+        if (!pattern) continue;
+        if (pattern.length > MAX_REGEX_LENGTH) return `${type}Regex must be at most ${MAX_REGEX_LENGTH} characters`;
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            return `Invalid ${type}Regex: ${e.message}`;
+        }
+        if (hasUnsafeRepeat(pattern)) {
+            return `${type}Regex must not repeat a group that already repeats or has alternatives, e.g. (a+)+ or (a|b)+`;
+        }
+    }
+    return null;
+}
+
+// Classify an inbound text against a config's phrases, packs and regexes.
+// Opt-out wins over opt-in, which wins over help.
+function classifyKeyword(text, optoutConfig) {
+    const normalizedText = normalizeKeywordText(text);
+    const result = { text, normalizedText, type: null, keyword: null, matchedBy: null };
+    if (!normalizedText) return result;
+
+    for (const type of KEYWORD_TYPES) {
+        const phrases = parsePhrases(optoutConfig[`${type}Phrase`] || DEFAULT_PHRASES[type]);
+        const phrase = phrases.find(p => matchesKeyword(normalizedText, p));
+        if (phrase) {
+            return { ...result, type, keyword: phrase, matchedBy: 'phrase' };
+        }
+
+        for (const pack of getKeywordPacks(optoutConfig)) {
+            const keyword = ((KEYWORD_PACKS[pack] || {})[type] || []).find(k => matchesKeyword(normalizedText, k));
+            if (keyword) {
+                return { ...result, type, keyword, matchedBy: `pack:${pack}` };
+            }
+        }
+
+        // Patterns saved before the repeat check are skipped rather than run
+        const pattern = optoutConfig[`${type}Regex`];
+        if (pattern && !hasUnsafeRepeat(pattern)) {
+            const match = normalizedText.slice(0, MAX_REGEX_TEXT_LENGTH).match(new RegExp(pattern, 'i'));
+            if (match) {
+                return { ...result, type, keyword: match[0], matchedBy: 'regex' };
+            }
+        }
+    }
+
+    return result;
+}
+
+// The confirm phrase an inbound text matches for a pending double opt-in, or null
+function matchesConfirmPhrase(text, optoutConfig) {
+    const normalizedText = normalizeKeywordText(text);
+    if (!normalizedText) return null;
+    return parsePhrases(optoutConfig.confirmPhrase || DEFAULT_CONFIRM_PHRASE)
+        .find(phrase => matchesKeyword(normalizedText, phrase)) || null;
+}
+
+module.exports = {
+    KEYWORD_TYPES,
+    KEYWORD_PACKS,
+    DEFAULT_KEYWORD_PACKS,
+    DEFAULT_CONFIRM_PHRASE,
+    normalizeKeywordText,
+    validateKeywordSettings,
+    hasUnsafeRepeat,
+    classifyKeyword,
+    matchesConfirmPhrase
+};
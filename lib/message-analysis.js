@@ -0,0 +1,123 @@
+// SMS encoding, segment counts and cost estimates.
+//
+// Text made only of GSM 03.38 characters is sent as GSM-7: 160 characters in
+// one SMS, or 153 per part once it needs several. Characters from the extension
+// table (€, [, ] and so on) take two of those. Anything else, one emoji or a
+// curly quote, switches the whole message to UCS-2: 70 UTF-16 code units in one
+// SMS, or 67 per part, with characters outside the BMP taking two. A character
+// is never split across two parts.
+
+const GSM_BASIC = new Set(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+const GSM_EXTENSION = new Set('\f^{}\\[~]|€');
+
+const LIMITS = {
+    'GSM-7': { single: 160, multipart: 153 },
+    'UCS-2': { single: 70, multipart: 67 }
+};
+
+const codePoint = character => 'U+' + character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+
+// Units each character takes in the chosen encoding
+function characterUnits(characters, encoding) {
+    if (encoding === 'GSM-7') return characters.map(c => (GSM_EXTENSION.has(c) ? 2 : 1));
+    return characters.map(c => c.length);
+}
+
+// Fill parts in order without splitting a character
+function countSegments(units, limit) {
+    let segments = 1;
+    let used = 0;
+    for (const size of units) {
+        if (used + size > limit) {
+            segments++;
+            used = 0;
+        }
+        used += size;
+    }
+    return { segments, used };
+}
+
+function analyzeMessage(text) {
+    const characters = Array.from(String(text || ''));
+    const unicode = characters.filter(c => !GSM_BASIC.has(c) && !GSM_EXTENSION.has(c));
+    const encoding = unicode.length > 0 ? 'UCS-2' : 'GSM-7';
+    const limits = LIMITS[encoding];
+    const units = characterUnits(characters, encoding);
+    const totalUnits = units.reduce((sum, size) => sum + size, 0);
+    
+    let segments = 0;
+    let unitsPerSegment = limits.single;
+    let used = totalUnits;
+    if (totalUnits > limits.single) {
+        unitsPerSegment = limits.multipart;
+        ({ segments, used } = countSegments(units, limits.multipart));
+    } else if (totalUnits > 0) {
+        segments = 1;
+    }
+    
+    // Each character that forced UCS-2, with how often it appears
+    const counts = new Map();
+    unicode.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+    
+    return {
+        encoding,
+        characters: characters.length,
+        units: totalUnits,
+        segments,
+        unitsPerSegment,
+        remaining: unitsPerSegment - used,
+        unicodeCharacters: [...counts].map(([character, count]) => ({ character, codePoint: codePoint(character), count }))
+    };
+}
+
+// A price table is { currency, default, countries: { GB: 0.04, ... } }, prices per segment
+function validatePriceTable(table) {
+    if (table === undefined || table === null) return null;
+    if (typeof table !== 'object' || Array.isArray(table)) {
+        return 'priceTable must be an object with currency, default and countries';
+    }
+    if (!/^[A-Z]{3}$/.test(table.currency || '')) return 'priceTable currency must be a 3-letter code such as EUR';
+    
+    const isPrice = value => typeof value === 'number' && value >= 0 && isFinite(value);
+    if (table.default !== undefined && table.default !== null && !isPrice(table.default)) {
+        return 'priceTable default must be a price of 0 or more';
+    }
+    const countries = table.countries || {};
+    if (typeof countries !== 'object' || Array.isArray(countries)) {
+        return 'priceTable countries must map country codes to prices';
+    }
+    for (const [country, price] of Object.entries(countries)) {
+        if (!/^[A-Z]{2}$/.test(country) || !isPrice(price)) {
+            return `priceTable countries must map 2-letter country codes to prices (got ${country})`;
+        }
+    }
+    return null;
+}
+
+// Cost of sending `segments` parts to each recipient's country (null for an
+// unknown country). Recipients with no price in the table are counted as unpriced.
+function estimateCost(segments, countries, table) {
+    if (!table) return null;
+    const prices = table.countries || {};
+    let total = 0;
+    let unpriced = 0;
+    for (const country of countries) {
+        const price = country in prices ? prices[country] : table.default;
+        if (typeof price !== 'number') {
+            unpriced++;
+        } else {
+            total += price * segments;
+        }
+    }
+    return {
+        currency: table.currency,
+        total: Math.round(total * 10000) / 10000,
+        recipients: countries.length,
+        unpriced
+    };
+}
+
+module.exports = { LIMITS, analyzeMessage, validatePriceTable, estimateCost };
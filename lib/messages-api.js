@@ -0,0 +1,208 @@
+// Vonage Messages API (/v1/messages): JWTs, outbound payloads and inbound webhooks.
+//
+// The Messages API authenticates with a JWT signed (RS256) by the private key
+// of a Vonage application, rather than the account's API key and secret. One
+// endpoint sends on every channel; inbound messages and status updates arrive
+// as JSON with `channel`, `message_uuid`, `from`, `to` and `message_type`.
+// SMS, MMS, WhatsApp and RCS are supported here. Errors are RFC 7807 problem
+// bodies (application/problem+json).
+
+const crypto = require('crypto');
+
+const CHANNELS = ['sms', 'mms', 'whatsapp', 'rcs'];
+const JWT_TTL_SECONDS = 15 * 60;
+const MAX_TEXT_LENGTH = 4096;
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// Keys pasted into environment variables often have their newlines escaped
+function normalizePrivateKey(privateKey) {
+    return String(privateKey || '').replace(/\\n/g, '\n').trim();
+}
+
+function validateApplication({ applicationId, privateKey }) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(applicationId || '')) {
+        return 'applicationId must be a Vonage application ID (a UUID)';
+    }
+    try {
+        const key = crypto.createPrivateKey(normalizePrivateKey(privateKey));
+        if (key.asymmetricKeyType !== 'rsa') return 'privateKey must be an RSA private key';
+    } catch (e) {
+        return 'privateKey must be the PEM private key of the application';
+    }
+    return null;
+}
+
+function createJwt({ applicationId, privateKey }, now = Date.now()) {
+    const iat = Math.floor(now / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        application_id: applicationId,
+        iat: iat,
+        exp: iat + JWT_TTL_SECONDS,
+        jti: crypto.randomUUID()
+    }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), normalizePrivateKey(privateKey));
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+// Check a client's JWT the way Vonage would: RS256, signed by the application's
+// key, for that application and not expired. It must also have been issued
+// within maxAge seconds of now, so a captured token can't be replayed for long.
+// Returns the reason it fails, or null.
+function verifyJwt(token, { applicationId, privateKey }, maxAge = JWT_TTL_SECONDS, now = Date.now()) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return 'malformed JWT';
+    
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (e) {
+        return 'malformed JWT';
+    }
+    if (header.alg !== 'RS256') return `unsupported JWT algorithm ${header.alg}`;
+    
+    const publicKey = crypto.createPublicKey(normalizePrivateKey(privateKey));
+    if (!crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'))) {
+        return 'JWT signature mismatch';
+    }
+    if (claims.application_id !== applicationId) return 'JWT is for another application';
+    if (!claims.iat) return 'JWT missing iat claim';
+    const age = Math.abs(now / 1000 - Number(claims.iat));
+    if (!(age <= maxAge)) return `stale JWT (iat ${claims.iat})`;
+    if (claims.exp && Number(claims.exp) < now / 1000) return 'expired JWT';
+    return null;
+}
+
+function validateChannel(channel) {
+    if (channel === undefined || channel === null || CHANNELS.includes(channel)) return null;
+    return `channel must be one of: ${CHANNELS.join(', ')}`;
+}
+
+// Channels listed in a setting such as optoutChannels
+function validateChannelList(channels, field) {
+    if (channels === undefined || channels === null) return null;
+    if (!Array.isArray(channels) || channels.some(channel => !CHANNELS.includes(channel))) {
+        return `${field} must be an array of channels: ${CHANNELS.join(', ')}`;
+    }
+    return null;
+}
+
+function validateOutbound({ channel = 'sms', text, imageUrl }) {
+    const channelError = validateChannel(channel);
+    if (channelError) return channelError;
+    if (imageUrl !== undefined && imageUrl !== null) {
+        if (channel === 'sms') return 'imageUrl is not supported on sms';
+        if (!/^https:\/\/\S+$/.test(String(imageUrl))) return 'imageUrl must be an https URL';
+    }
+    if (String(text || '').length > MAX_TEXT_LENGTH) return `text must be at most ${MAX_TEXT_LENGTH} characters`;
+    return null;
+}
+
+// Request body for POST /v1/messages; with an image the text becomes its caption
+function buildMessage({ channel = 'sms', to, from, text, imageUrl }) {
+    const message = { channel, to, from };
+    if (imageUrl) {
+        message.message_type = 'image';
+        message.image = text ? { url: imageUrl, caption: text } : { url: imageUrl };
+    } else {
+        message.message_type = 'text';
+        message.text = text;
+    }
+    return message;
+}
+
+// Inbound webhook payload reduced to what keyword handling needs. Button and
+// quick replies count as text, as does an image caption.
+function parseInbound(body) {
+    if (!body || !body.channel || !body.message_uuid) return null;
+    const text = body.text ||
+        (body.reply && body.reply.title) ||
+        (body.button && body.button.text) ||
+        (body.image && body.image.caption) ||
+        '';
+    return {
+        channel: body.channel,
+        from: body.from,
+        to: body.to,
+        text: String(text),
+        messageId: body.message_uuid,
+        messageType: body.message_type || null,
+        receivedAt: body.timestamp || null
+    };
+}
+
+// RFC 7807 problem bodies in the shape the Messages API answers errors with
+const PROBLEMS = {
+    unauthorized: {
+        status: 401,
+        type: 'https://developer.vonage.com/api-errors#unauthorized',
+        title: 'Unauthorized',
+        detail: 'You did not provide correct credentials.'
+    },
+    invalidParams: {
+        status: 422,
+        type: 'https://developer.vonage.com/api-errors/messages#1150',
+        title: 'Invalid params',
+        detail: 'The value of one or more parameters is invalid.'
+    },
+    // Not a Vonage error: the recipient has opted out through this app
+    optedOut: {
+        status: 403,
+        type: 'urn:vonage-optout-manager:problem:recipient-opted-out',
+        title: 'Recipient opted out',
+        detail: 'The recipient has opted out of messages from this sender.'
+    },
+    internal: {
+        status: 500,
+        type: 'https://developer.vonage.com/api-errors#internal',
+        title: 'Internal Error',
+        detail: 'An error has occurred in the platform whilst processing this message.'
+    }
+};
+
+// Problem body for one of PROBLEMS; `fields` can override the detail or add members
+function problem(name, fields = {}) {
+    const { status, ...body } = PROBLEMS[name];
+    return { status, body: { ...body, instance: crypto.randomUUID(), ...fields } };
+}
+
+// Message status webhook statuses, mapped onto the message log's
+const STATUS_MAP = {
+    submitted: 'submitted',
+    delivered: 'delivered',
+    read: 'read',
+    rejected: 'rejected',
+    undeliverable: 'failed'
+};
+
+function parseStatus(body) {
+    if (!body || !body.message_uuid) return null;
+    const error = body.error || null;
+    return {
+        messageId: body.message_uuid,
+        channel: body.channel || null,
+        status: STATUS_MAP[String(body.status || '').toLowerCase()] || 'unknown',
+        errorCode: error && error.title !== undefined ? String(error.title) : null,
+        errorText: error ? error.detail || null : null,
+        price: body.usage && body.usage.price ? body.usage.price : null,
+        timestamp: body.timestamp || null
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    normalizePrivateKey,
+    validateApplication,
+    createJwt,
+    verifyJwt,
+    validateChannel,
+    validateChannelList,
+    validateOutbound,
+    buildMessage,
+    parseInbound,
+    parseStatus,
+    problem
+};
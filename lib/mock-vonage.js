@@ -0,0 +1,289 @@
+// Local stand-in for the Vonage APIs, for development and offline tests.
+//
+// Serves what the app calls (GET /account/numbers, /sms/json, POST /v1/messages)
+// and plays the Vonage side of the webhooks: delivery receipts for accepted
+// SMS and injected inbound SMS, signed like Vonage signs them when a signature
+// secret is set. Point VONAGE_REST_URL and VONAGE_API_URL at it.
+//
+// Submit outcomes can be scripted per recipient, e.g. a Vonage status code
+// ("9", quota exceeded), an HTTP error to exercise retries, a long message whose
+// last part is refused, an unreadable response or a failed delivery receipt.
+// The same controls are available over HTTP under /_mock/ when it runs
+// standalone (scripts/mock-vonage.js).
+
+const crypto = require('crypto');
+const express = require('express');
+
+const GSM_PART = { single: 160, multi: 153 };
+const UNICODE_PART = { single: 70, multi: 67 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const newMessageId = () => crypto.randomBytes(8).toString('hex').toUpperCase();
+
+// "2026-01-31 09:30:00", the UTC timestamp format of SMS API webhooks
+const vonageTimestamp = (date = new Date()) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Number of SMS parts Vonage would bill for a submission
+function countParts(params) {
+    if (params.type === 'binary' || params.udh) return 1;
+    const text = String(params.text || '');
+    const { single, multi } = params.type === 'unicode' ? UNICODE_PART : GSM_PART;
+    const length = params.type === 'unicode' ? [...text].length : text.length;
+    return length <= single ? 1 : Math.ceil(length / multi);
+}
+
+// Same algorithm as the Vonage SDKs: sorted params with & and = in values
+// replaced by _, hashed with the signature secret
+function signParams(params, secret, method = 'md5hash') {
+    const signed = { ...params, timestamp: String(Math.floor(Date.now() / 1000)) };
+    const query = Object.keys(signed)
+        .sort()
+        .map(key => `&${key}=${String(signed[key]).replace(/[&=]/g, '_')}`)
+        .join('');
+    const sig = method === 'md5hash'
+        ? crypto.createHash('md5').update(query + secret).digest('hex')
+        : crypto.createHmac(method, secret).update(query).digest('hex');
+    return { ...signed, sig };
+}
+
+function createMockVonage({ apiKey, apiSecret, numbers = [], webhookUrl, signatureSecret, signatureMethod = 'md5hash', receiptDelayMs = 100, log = () => {} } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    
+    // Submitted SMS parts, Messages API sends, delivered receipts and injected inbound SMS
+    const messages = [];
+    const channelMessages = [];
+    const receipts = [];
+    const inbound = [];
+    // Scripted outcomes: { to, status, errorText, httpStatus, lastPartStatus, invalidJson, receipt, times }
+    let scripts = [];
+    const pendingWebhooks = new Set();
+    let server = null;
+    
+    const validCredentials = params => !apiKey ||
+        (params.api_key === apiKey && params.api_secret === apiSecret);
+    
+    // First script for this recipient (or for everyone), used up after `times` submits
+    function takeScript(to) {
+        const script = scripts.find(s => !s.to || s.to === to);
+        if (!script) return null;
+        if (script.times !== undefined && --script.times <= 0) {
+            scripts = scripts.filter(s => s !== script);
+        }
+        return script;
+    }
+    
+    // POST a webhook to the app, signed when a signature secret is set
+    function sendWebhook(path, params, list) {
+        const url = params.callback || `${webhookUrl}${path}`;
+        const { callback, ...fields } = params;
+        const body = signatureSecret ? signParams(fields, signatureSecret, signatureMethod) : fields;
+        const delivery = fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(response => {
+            list.push({ url, params: body, status: response.status });
+            return response.status;
+        }, error => {
+            log(`Mock Vonage: webhook to ${url} failed: ${error.message}`);
+            list.push({ url, params: body, status: null, error: error.message });
+            return null;
+        });
+        pendingWebhooks.add(delivery);
+        delivery.finally(() => pendingWebhooks.delete(delivery));
+        return delivery;
+    }
+    
+    function sendReceipt(message, { status = 'delivered', errCode = '0' } = {}) {
+        if (!webhookUrl && !message.params.callback) return Promise.resolve(null);
+        return sendWebhook('/webhooks/status', {
+            msisdn: message.to,
+            to: message.from,
+            'network-code': '23410',
+            messageId: message.messageId,
+            price: '0.03330000',
+            status: status,
+            scts: vonageTimestamp().replace(/[- :]/g, '').slice(2, 12),
+            'err-code': String(errCode),
+            'api-key': message.params.api_key,
+            'message-timestamp': vonageTimestamp(),
+            ...(message.params['client-ref'] && { 'client-ref': message.params['client-ref'] }),
+            ...(message.params.callback && { callback: message.params.callback })
+        }, receipts);
+    }
+    
+    // An SMS from `from` to one of the account's numbers, as the inbound webhook sends it
+    function sendInbound({ from, to, text, type = 'text' }) {
+        const message = {
+            msisdn: String(from),
+            to: String(to),
+            messageId: newMessageId(),
+            text: String(text),
+            type: type,
+            keyword: String(text).trim().split(/\s+/)[0].toUpperCase(),
+            'api-key': apiKey || '',
+            'message-timestamp': vonageTimestamp()
+        };
+        return sendWebhook('/webhooks/inbound-sms', message, inbound);
+    }
+    
+    app.get('/account/numbers', (req, res) => {
+        if (!validCredentials(req.query)) {
+            return res.status(401).json({ 'error-code': '401', 'error-code-label': 'authentication failed' });
+        }
+        res.json({ count: numbers.length, numbers: numbers });
+    });
+    
+    async function submitSms(req, res) {
+        const params = { ...req.query, ...req.body };
+        const reply = message => res.json({ 'message-count': '1', messages: [message] });
+        
+        if (!validCredentials(params)) return reply({ status: '4', 'error-text': 'Bad Credentials' });
+        for (const name of ['from', 'to']) {
+            if (!params[name]) return reply({ status: '2', 'error-text': `Missing ${name} param` });
+        }
+        if (!params.text && !params.body) return reply({ status: '2', 'error-text': 'Missing text param' });
+        
+        const script = takeScript(params.to);
+        if (script && script.httpStatus) {
+            return res.status(script.httpStatus).json({ 'error-code': String(script.httpStatus), 'error-code-label': 'Scripted error' });
+        }
+        if (script && script.status && script.status !== '0') {
+            return reply({ status: String(script.status), 'error-text': script.errorText || 'Scripted error' });
+        }
+        if (script && script.invalidJson) {
+            return res.type('application/json').send('{"message-count":');
+        }
+        
+        const parts = [];
+        const count = countParts(params);
+        // With lastPartStatus, the last part of a long message is refused
+        const refused = script && script.lastPartStatus && count > 1
+            ? { to: params.to, status: String(script.lastPartStatus), 'error-text': script.errorText || 'Scripted error' }
+            : null;
+        for (let i = 0; i < (refused ? count - 1 : count); i++) {
+            const message = {
+                messageId: newMessageId(),
+                to: params.to,
+                from: params.from,
+                text: params.text || null,
+                params: params,
+                submittedAt: new Date().toISOString()
+            };
+            messages.push(message);
+            parts.push(message);
+        }
+        
+        res.json({
+            'message-count': String(count),
+            messages: [...parts.map(message => ({
+                to: message.to,
+                'message-id': message.messageId,
+                status: '0',
+                'remaining-balance': '10.00000000',
+                'message-price': '0.03330000',
+                network: '23410',
+                ...(params['client-ref'] && { 'client-ref': params['client-ref'] })
+            })), ...(refused ? [refused] : [])]
+        });
+        
+        // Receipts follow the response, as they would from the carrier
+        if (receiptDelayMs) await sleep(receiptDelayMs);
+        for (const message of parts) {
+            sendReceipt(message, script ? script.receipt : undefined);
+        }
+    }
+    
+    app.get('/sms/json', submitSms);
+    app.post('/sms/json', submitSms);
+    
+    app.post('/v1/messages', (req, res) => {
+        const problem = (status, title) => res.status(status).type('application/problem+json').send(JSON.stringify({
+            type: `https://developer.vonage.com/api-errors#${status === 401 ? 'unauthorized' : 'invalid-params'}`,
+            title: title,
+            instance: crypto.randomUUID()
+        }));
+        if (!/^(Bearer|Basic) \S+/.test(req.headers.authorization || '')) return problem(401, 'Unauthorized');
+        
+        const { channel, to, from, message_type } = req.body || {};
+        if (!channel || !to || !from || !message_type) return problem(422, 'Invalid params');
+        
+        const script = takeScript(to);
+        if (script && script.httpStatus) return problem(script.httpStatus, script.errorText || 'Scripted error');
+        
+        const messageUuid = crypto.randomUUID();
+        channelMessages.push({ messageUuid, channel, to, from, body: req.body, submittedAt: new Date().toISOString() });
+        res.status(202).json({ message_uuid: messageUuid });
+    });
+    
+    // ---- Controls for standalone use ----
+    
+    app.get('/_mock/messages', (req, res) => {
+        res.json({ messages, channelMessages, receipts, inbound });
+    });
+    
+    app.post('/_mock/scripts', (req, res) => {
+        res.json(script(req.body || {}));
+    });
+    
+    app.post('/_mock/inbound', async (req, res) => {
+        const { from, to, text } = req.body || {};
+        if (!webhookUrl) return res.status(400).json({ error: 'Start the mock with a webhook URL to send inbound SMS' });
+        if (!from || !to || !text) return res.status(400).json({ error: 'from, to and text are required' });
+        res.json({ webhookStatus: await sendInbound(req.body) });
+    });
+    
+    app.post('/_mock/receipts', async (req, res) => {
+        const message = messages.find(m => m.messageId === (req.body || {}).messageId);
+        if (!message) return res.status(404).json({ error: 'Message not found' });
+        res.json({ webhookStatus: await sendReceipt(message, req.body) });
+    });
+    
+    app.post('/_mock/reset', (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+    
+    function script(entry) {
+        const scripted = { ...entry, ...(entry.status !== undefined && { status: String(entry.status) }) };
+        scripts.push(scripted);
+        return scripted;
+    }
+    
+    function reset() {
+        messages.length = 0;
+        channelMessages.length = 0;
+        receipts.length = 0;
+        inbound.length = 0;
+        scripts = [];
+    }
+    
+    return {
+        app,
+        messages,
+        channelMessages,
+        receipts,
+        inbound,
+        script,
+        reset,
+        sendInbound,
+        sendReceipt,
+        // Wait for the webhooks in flight, e.g. receipts for the last submit
+        idle: () => Promise.all([...pendingWebhooks]),
+        get url() {
+            return server ? `http://127.0.0.1:${server.address().port}` : null;
+        },
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server = app.listen(port, host, () => resolve(this.url)).once('error', reject);
+            });
+        },
+        close() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
+
+module.exports = { createMockVonage, signParams };
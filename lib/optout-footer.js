@@ -0,0 +1,90 @@
+// Opt-out footers ("Reply STOP to opt out") for marketing messages.
+//
+// A footer policy is { text, defaultCategory }. The text may use {{stop}} (the
+// first opt-out keyword of the sender's config) and {{brand}}. Messages are
+// "marketing" or "transactional"; only marketing messages get the footer, and
+// messages sent without a category use the policy's defaultCategory. A message
+// that already tells the recipient how to opt out is left as it is.
+
+const messageAnalysis = require('./message-analysis');
+
+const MESSAGE_CATEGORIES = ['marketing', 'transactional'];
+const DEFAULT_FOOTER_TEXT = 'Reply {{stop}} to opt out';
+const MAX_FOOTER_LENGTH = 160;
+
+function validateCategory(category) {
+    if (category === undefined || category === null || MESSAGE_CATEGORIES.includes(category)) return null;
+    return `category must be one of: ${MESSAGE_CATEGORIES.join(', ')}`;
+}
+
+function validateFooterPolicy(policy) {
+    if (policy === undefined || policy === null) return null;
+    if (typeof policy !== 'object') return 'optoutFooter must be an object with text and defaultCategory';
+    
+    const text = policy.text === undefined ? DEFAULT_FOOTER_TEXT : policy.text;
+    if (typeof text !== 'string' || !/\{\{\s*stop\s*\}\}/.test(text)) {
+        return 'optoutFooter text must include {{stop}}';
+    }
+    if (text.length > MAX_FOOTER_LENGTH) return `optoutFooter text must be at most ${MAX_FOOTER_LENGTH} characters`;
+    if (!MESSAGE_CATEGORIES.includes(policy.defaultCategory || 'marketing')) {
+        return `optoutFooter defaultCategory must be one of: ${MESSAGE_CATEGORIES.join(', ')}`;
+    }
+    return null;
+}
+
+function pickFooterPolicy(policy) {
+    return policy ? { text: policy.text || DEFAULT_FOOTER_TEXT, defaultCategory: policy.defaultCategory || 'marketing' } : null;
+}
+
+function renderFooter(policy, { stop, brand }) {
+    const values = { stop, brand: brand || '' };
+    return policy.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => name in values ? values[name] : match).trim();
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Does the text already carry the footer, or an instruction such as "reply STOP"
+// or "text UNSUBSCRIBE" using one of the keywords?
+function hasOptoutInstruction(text, footer, keywords) {
+    const squash = value => value.replace(/\s+/g, ' ').toLowerCase();
+    if (squash(text).includes(squash(footer))) return true;
+    return keywords.some(keyword => new RegExp(
+        `\\b(reply|text|txt|send|sms)\\s+["'“]?${escapeRegExp(keyword)}\\b`, 'i'
+    ).test(text));
+}
+
+// Append the footer unless it is already there. Reports the SMS parts before
+// and after, so callers can warn when the footer makes a message longer.
+function applyFooter(text, footer, keywords) {
+    if (hasOptoutInstruction(text, footer, keywords)) {
+        return { text, added: false };
+    }
+    const before = messageAnalysis.analyzeMessage(text);
+    const withFooter = `${text}\n${footer}`;
+    const after = messageAnalysis.analyzeMessage(withFooter);
+    return {
+        text: withFooter,
+        added: true,
+        segmentsBefore: before.segments,
+        segmentsAfter: after.segments,
+        encodingChanged: before.encoding !== after.encoding
+    };
+}
+
+// Human-readable warning for a footer that costs an extra part, or null
+function footerWarning(result) {
+    if (!result.added || result.segmentsAfter <= result.segmentsBefore) return null;
+    return `The opt-out footer makes this message ${result.segmentsAfter} SMS parts instead of ${result.segmentsBefore}` +
+        (result.encodingChanged ? ' and sends it as Unicode' : '');
+}
+
+module.exports = {
+    MESSAGE_CATEGORIES,
+    DEFAULT_FOOTER_TEXT,
+    validateCategory,
+    validateFooterPolicy,
+    pickFooterPolicy,
+    renderFooter,
+    applyFooter,
+    footerWarning
+};
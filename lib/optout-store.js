@@ -0,0 +1,257 @@
+// In-memory index over the persisted opt-out list.
+//
+// The list itself stays a plain array (that is what the storage drivers persist);
+// the index maps each normalized number to its entries by scope so blocklist
+// checks are a Map lookup instead of a scan that re-normalizes every entry.
+//
+// Scopes are "global", "config:<id>" or "list:<id>"; entries without one (and
+// legacy plain-string entries) are global.
+//
+// An entry may also list the `channels` it blocks (sms, whatsapp...). Entries
+// without channels, including everything from before channels existed, block
+// every channel. A number keeps one entry per scope, so opting out on another
+// channel widens the existing entry.
+//
+// Changes since the last takeChanges() are tracked per entry, so a driver that
+// stores the list as rows can write just those.
+//
+// Removing doesn't scan the array either: each number's positions in it are
+// kept by scope, and a removed entry's place is taken by the last entry, so the
+// array's order is not preserved.
+
+const GLOBAL_SCOPE = 'global';
+
+function scopeOf(entry) {
+    return (typeof entry === 'object' && entry.scope) || GLOBAL_SCOPE;
+}
+
+// The channels an entry blocks, or null for all of them
+function channelsOf(entry) {
+    return (typeof entry === 'object' && Array.isArray(entry.channels)) ? entry.channels : null;
+}
+
+function blocksChannel(entry, channel) {
+    const channels = channelsOf(entry);
+    return !channel || !channels || channels.includes(channel);
+}
+
+// `channels` is every channel there is, so an entry blocking all of them can be
+// narrowed when the number opts back in on some
+function createOptoutStore({ normalize, channels: allChannels }) {
+    let entries = [];
+    let index = new Map();
+    // `${number} ${scope}` -> positions in entries, duplicates included
+    let slots = new Map();
+    let upserted = new Set();
+    let removed = new Set();
+    
+    const numberOf = entry => normalize(typeof entry === 'string' ? entry : entry.number);
+    const slotKey = (number, scope) => `${number} ${scope}`;
+    
+    // First entry for the number in any of the given scopes (any scope if omitted)
+    // that blocks the channel (any channel if omitted)
+    function find(number, scopes, channel) {
+        const byScope = index.get(normalize(number));
+        if (!byScope) return null;
+        for (const scope of scopes || byScope.keys()) {
+            const entry = byScope.get(scope);
+            if (entry && blocksChannel(entry, channel)) return entry;
+        }
+        return null;
+    }
+    
+    return {
+        // Adopt a freshly loaded list (keeps the array identity so the storage cache stays in sync)
+        load(list) {
+            entries = list;
+            index = new Map();
+            slots = new Map();
+            upserted = new Set();
+            removed = new Set();
+            entries.forEach((entry, position) => {
+                place(entry, position);
+                const number = numberOf(entry);
+                if (!number) return;
+                if (!index.has(number)) index.set(number, new Map());
+                const byScope = index.get(number);
+                if (!byScope.has(scopeOf(entry))) byScope.set(scopeOf(entry), entry);
+            });
+        },
+        
+        // The persisted array
+        list() {
+            return entries;
+        },
+        
+        // Number of distinct opted-out numbers
+        size() {
+            return index.size;
+        },
+        
+        has(number, scopes, channel) {
+            return find(number, scopes, channel) !== null;
+        },
+        
+        get(number, scopes, channel) {
+            return find(number, scopes, channel);
+        },
+        
+        // All entries for a number, one per scope
+        entries(number) {
+            const byScope = index.get(normalize(number));
+            return byScope ? [...byScope.values()] : [];
+        },
+        
+        // Returns false when the number is invalid or already opted out in that
+        // scope on every channel the entry names
+        add(entry) {
+            const number = numberOf(entry);
+            if (!number) return false;
+            if (!index.has(number)) index.set(number, new Map());
+            const byScope = index.get(number);
+            const existing = byScope.get(scopeOf(entry));
+            if (!existing) {
+                entries.push(entry);
+                place(entry, entries.length - 1);
+                byScope.set(scopeOf(entry), entry);
+                upserted.add(entry);
+                return true;
+            }
+            
+            const current = channelsOf(existing);
+            const adding = channelsOf(entry);
+            if (!current || (adding && adding.every(channel => current.includes(channel)))) return false;
+            if (adding) {
+                existing.channels = [...new Set([...current, ...adding])];
+            } else {
+                delete existing.channels;
+            }
+            upserted.add(existing);
+            return true;
+        },
+        
+        // Remove one or more numbers from the given scopes (all if omitted);
+        // returns the normalized numbers that had an entry removed.
+        // With channels, entries only lose those channels; one blocking every
+        // channel is narrowed to the others (plain-string entries become objects).
+        // An entry is removed once it blocks no channel at all.
+        remove(numbers, scopes, channels) {
+            if (channels) return removeChannels(numbers, scopes, channels);
+            
+            const changed = [];
+            for (const number of [].concat(numbers)) {
+                const normalized = normalize(number);
+                const byScope = index.get(normalized);
+                if (!byScope) continue;
+                const removing = (scopes || [...byScope.keys()]).filter(scope => byScope.has(scope));
+                if (removing.length === 0) continue;
+                
+                removing.forEach(scope => {
+                    removeSlot(slotKey(normalized, scope), 0);
+                    byScope.delete(scope);
+                });
+                if (byScope.size === 0) index.delete(normalized);
+                changed.push(normalized);
+            }
+            return changed;
+        },
+        
+        // Entries added or changed, and entries removed, since the last call
+        takeChanges() {
+            const changes = { upserted: [...upserted], removed: [...removed] };
+            upserted = new Set();
+            removed = new Set();
+            return changes;
+        },
+        
+        // Put back changes that could not be written, so the next save retries them
+        requeueChanges(changes) {
+            changes.removed.forEach(dropEntry);
+            changes.upserted.filter(entry => !removed.has(entry)).forEach(entry => upserted.add(entry));
+        }
+    };
+    
+    function dropEntry(entry) {
+        upserted.delete(entry);
+        removed.add(entry);
+    }
+    
+    // Entries without a valid number have no slot; they are never removed
+    function place(entry, position) {
+        const number = numberOf(entry);
+        if (!number) return;
+        const slot = slotKey(number, scopeOf(entry));
+        if (!slots.has(slot)) slots.set(slot, new Set());
+        slots.get(slot).add(position);
+    }
+    
+    function unplace(entry, position) {
+        const number = numberOf(entry);
+        if (!number) return;
+        const slot = slotKey(number, scopeOf(entry));
+        const positions = slots.get(slot);
+        positions.delete(position);
+        if (positions.size === 0) slots.delete(slot);
+    }
+    
+    // Take an entry out of the array, moving the last entry into its place
+    function removeAt(position) {
+        const entry = entries[position];
+        const last = entries.length - 1;
+        unplace(entry, position);
+        if (position !== last) {
+            const moved = entries[last];
+            unplace(moved, last);
+            entries[position] = moved;
+            place(moved, position);
+        }
+        entries.length = last;
+        dropEntry(entry);
+    }
+    
+    // Remove a number's entries in one scope (several for duplicated legacy
+    // entries) but the first `keep`; returns the first kept position, or -1
+    function removeSlot(slot, keep) {
+        const positions = slots.get(slot);
+        while (positions && positions.size > keep) {
+            removeAt(Math.max(...positions));
+        }
+        return positions && positions.size > 0 ? Math.min(...positions) : -1;
+    }
+    
+    function removeChannels(numbers, scopes, channels) {
+        const changed = new Set();
+        for (const number of [].concat(numbers)) {
+            const normalized = normalize(number);
+            const byScope = index.get(normalized);
+            if (!byScope) continue;
+            
+            for (const [scope, entry] of byScope) {
+                if (scopes && !scopes.includes(scope)) continue;
+                if (!channels.some(channel => blocksChannel(entry, channel))) continue;
+                
+                const remaining = (channelsOf(entry) || allChannels || []).filter(channel => !channels.includes(channel));
+                if (remaining.length > 0 && typeof entry === 'string') {
+                    // Swapped for an object in the place of the first copy of the string
+                    const replacement = { number: entry, channels: remaining };
+                    const position = removeSlot(slotKey(normalized, scope), 1);
+                    dropEntry(entry);
+                    entries[position] = replacement;
+                    byScope.set(scope, replacement);
+                    upserted.add(replacement);
+                } else if (remaining.length > 0) {
+                    entry.channels = remaining;
+                    upserted.add(entry);
+                } else {
+                    removeSlot(slotKey(normalized, scope), 0);
+                    byScope.delete(scope);
+                }
+                changed.add(normalized);
+            }
+            if (byScope.size === 0) index.delete(normalized);
+        }
+        return [...changed];
+    }
+}
+
+module.exports = { createOptoutStore, scopeOf, channelsOf, GLOBAL_SCOPE };
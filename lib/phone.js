@@ -0,0 +1,65 @@
+// E.164 phone number parsing.
+//
+// Numbers are stored as E.164 without the leading '+' (the same shape Vonage uses
+// for msisdn), so `07123 456789` with default country GB, `+44 7123 456789` and
+// `447123456789` all end up as `447123456789`.
+
+const {
+    parsePhoneNumberFromString,
+    isSupportedCountry,
+    getCountryCallingCode
+} = require('libphonenumber-js');
+
+// Upper-cased ISO 3166-1 alpha-2 code, or null if libphonenumber doesn't know it
+function normalizeCountry(country) {
+    if (!country || typeof country !== 'string') return null;
+    const code = country.trim().toUpperCase();
+    return isSupportedCountry(code) ? code : null;
+}
+
+// Parse a number written in international or national format.
+// Returns { number, country, callingCode, valid } or null when the input can't be a phone number.
+function parseNumber(input, defaultCountry) {
+    if (input === undefined || input === null) return null;
+    const raw = String(input).trim();
+    let digits = raw.replace(/[^0-9]/g, '');
+    if (!digits) return null;
+
+    const country = normalizeCountry(defaultCountry);
+    const international = () => parsePhoneNumberFromString('+' + digits);
+    const national = () => country ? parsePhoneNumberFromString(raw, country) : undefined;
+
+    let attempts;
+    if (raw.startsWith('+')) {
+        attempts = [international];
+    } else if (raw.startsWith('00')) {
+        digits = digits.slice(2);
+        attempts = [international];
+    } else if (country && digits.startsWith(getCountryCallingCode(country))) {
+        // `447123456789` with default GB is the international form missing its '+'
+        attempts = [international, national];
+    } else {
+        attempts = [national, international];
+    }
+
+    const candidates = attempts.map(attempt => attempt()).filter(Boolean);
+    const parsed = candidates.find(c => c.isValid()) || candidates.find(c => c.isPossible());
+    if (!parsed) return null;
+
+    return {
+        number: parsed.number.slice(1),
+        country: parsed.country || null,
+        callingCode: parsed.countryCallingCode,
+        valid: parsed.isValid()
+    };
+}
+
+// Lenient variant for matching: falls back to the bare digits for short codes
+// and anything else that doesn't parse
+function normalizeNumber(input, defaultCountry) {
+    if (!input) return '';
+    const parsed = parseNumber(input, defaultCountry);
+    return parsed ? parsed.number : String(input).replace(/[^0-9]/g, '');
+}
+
+module.exports = { parseNumber, normalizeNumber, normalizeCountry };
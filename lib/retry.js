@@ -0,0 +1,63 @@
+// Retry policy for Vonage SMS API sends.
+//
+// Throttling, internal errors and network failures are transient and retried
+// with exponential backoff and full jitter; everything else (bad numbers,
+// credentials, barred accounts...) fails on the first attempt. A send that is
+// still failing transiently after the last attempt is reported as exhausted so
+// the caller can dead-letter it.
+//
+// `send` resolves with one status for the whole message. Once Vonage may have
+// sent any of it (an unreadable 200 response, some parts of a long message
+// accepted) it must throw a permanent error instead, so nothing goes out twice.
+
+// Vonage SMS API status codes worth retrying
+const TRANSIENT_STATUSES = {
+    '1': 'Throttled',
+    '5': 'Internal error',
+    '10': 'Too many existing binds'
+};
+
+const DEFAULT_POLICY = {
+    maxAttempts: 4,
+    baseDelayMs: 500,
+    maxDelayMs: 8000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown errors are network failures unless the sender marked them permanent
+function isTransient({ msg, error }) {
+    if (error) return !error.permanent;
+    return Object.prototype.hasOwnProperty.call(TRANSIENT_STATUSES, msg.status);
+}
+
+// Full jitter: anywhere between 0 and the exponential cap for this attempt
+function retryDelay(attempt, policy, random = Math.random) {
+    const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(random() * cap);
+}
+
+// Call send() until it succeeds, fails permanently or runs out of attempts.
+// Resolves with { msg, error, attempts, exhausted } and never rejects.
+async function withRetry(send, policy = DEFAULT_POLICY, { onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        let outcome;
+        try {
+            outcome = { msg: await send(), error: null };
+        } catch (error) {
+            outcome = { msg: null, error };
+        }
+        
+        const succeeded = outcome.msg && outcome.msg.status === '0';
+        const transient = !succeeded && isTransient(outcome);
+        if (!transient || attempt >= policy.maxAttempts) {
+            return { ...outcome, attempts: attempt, exhausted: transient };
+        }
+        
+        const delay = retryDelay(attempt, policy);
+        if (onRetry) onRetry(attempt, delay, outcome);
+        await sleep(delay);
+    }
+}
+
+module.exports = { TRANSIENT_STATUSES, DEFAULT_POLICY, isTransient, retryDelay, withRetry };
@@ -0,0 +1,189 @@
+// Send windows ("quiet hours") in the recipient's local time.
+//
+// A window is { start: 'HH:MM', end: 'HH:MM', action: 'reject' | 'defer' };
+// start after end wraps past midnight. The recipient's timezone comes from a
+// per-number override or the country of the number. Countries spanning several
+// timezones list all of them, and the window must be open in every one, so a
+// US number is only texted when it is within the window from New York to Honolulu.
+
+const { getCountryCallingCode } = require('libphonenumber-js');
+
+const SEND_WINDOW_ACTIONS = ['reject', 'defer'];
+
+const COUNTRY_TIMEZONES = {
+    US: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'],
+    CA: ['America/St_Johns', 'America/Halifax', 'America/Toronto', 'America/Winnipeg', 'America/Regina', 'America/Edmonton', 'America/Vancouver'],
+    MX: ['America/Cancun', 'America/Mexico_City', 'America/Mazatlan', 'America/Tijuana'],
+    BR: ['America/Noronha', 'America/Sao_Paulo', 'America/Manaus', 'America/Rio_Branco'],
+    AR: ['America/Argentina/Buenos_Aires'],
+    CL: ['America/Santiago'],
+    CO: ['America/Bogota'],
+    PE: ['America/Lima'],
+    VE: ['America/Caracas'],
+    GB: ['Europe/London'],
+    IE: ['Europe/Dublin'],
+    FR: ['Europe/Paris'],
+    DE: ['Europe/Berlin'],
+    ES: ['Europe/Madrid', 'Atlantic/Canary'],
+    PT: ['Europe/Lisbon', 'Atlantic/Azores'],
+    IT: ['Europe/Rome'],
+    NL: ['Europe/Amsterdam'],
+    BE: ['Europe/Brussels'],
+    LU: ['Europe/Luxembourg'],
+    CH: ['Europe/Zurich'],
+    AT: ['Europe/Vienna'],
+    SE: ['Europe/Stockholm'],
+    NO: ['Europe/Oslo'],
+    DK: ['Europe/Copenhagen'],
+    FI: ['Europe/Helsinki'],
+    PL: ['Europe/Warsaw'],
+    CZ: ['Europe/Prague'],
+    HU: ['Europe/Budapest'],
+    RO: ['Europe/Bucharest'],
+    GR: ['Europe/Athens'],
+    UA: ['Europe/Kyiv'],
+    TR: ['Europe/Istanbul'],
+    RU: ['Europe/Kaliningrad', 'Europe/Moscow', 'Asia/Yekaterinburg', 'Asia/Novosibirsk', 'Asia/Krasnoyarsk', 'Asia/Irkutsk', 'Asia/Yakutsk', 'Asia/Vladivostok', 'Asia/Kamchatka'],
+    IL: ['Asia/Jerusalem'],
+    AE: ['Asia/Dubai'],
+    SA: ['Asia/Riyadh'],
+    EG: ['Africa/Cairo'],
+    ZA: ['Africa/Johannesburg'],
+    NG: ['Africa/Lagos'],
+    KE: ['Africa/Nairobi'],
+    IN: ['Asia/Kolkata'],
+    PK: ['Asia/Karachi'],
+    BD: ['Asia/Dhaka'],
+    CN: ['Asia/Shanghai'],
+    HK: ['Asia/Hong_Kong'],
+    TW: ['Asia/Taipei'],
+    JP: ['Asia/Tokyo'],
+    KR: ['Asia/Seoul'],
+    SG: ['Asia/Singapore'],
+    MY: ['Asia/Kuala_Lumpur'],
+    TH: ['Asia/Bangkok'],
+    VN: ['Asia/Ho_Chi_Minh'],
+    PH: ['Asia/Manila'],
+    ID: ['Asia/Jakarta', 'Asia/Makassar', 'Asia/Jayapura'],
+    AU: ['Australia/Sydney', 'Australia/Brisbane', 'Australia/Adelaide', 'Australia/Darwin', 'Australia/Perth'],
+    NZ: ['Pacific/Auckland']
+};
+
+const FALLBACK_TIMEZONES = ['UTC'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Look ahead this far for the next opening before giving up
+const MAX_LOOKAHEAD_MS = 48 * 60 * 60 * 1000;
+const COARSE_STEP_MS = 5 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map();
+
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Main listed country for each calling code (the first listed wins, so +1 is the US)
+const CALLING_CODE_COUNTRIES = {};
+for (const country of Object.keys(COUNTRY_TIMEZONES)) {
+    const code = getCountryCallingCode(country);
+    if (!CALLING_CODE_COUNTRIES[code]) CALLING_CODE_COUNTRIES[code] = country;
+}
+
+// Numbers without a listed country (unassigned ranges, or territories sharing a
+// calling code such as Guernsey) use the main country for their calling code
+function timezonesForCountry(country, callingCode) {
+    return COUNTRY_TIMEZONES[country] || COUNTRY_TIMEZONES[CALLING_CODE_COUNTRIES[callingCode]] || FALLBACK_TIMEZONES;
+}
+
+function toMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+// Minutes since local midnight in a timezone
+function localMinutes(date, timezone) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        formatters.set(timezone, formatter);
+    }
+    const parts = formatter.formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+}
+
+function validateSendWindow(window) {
+    if (window === undefined || window === null) return null;
+    if (typeof window !== 'object') return 'sendWindow must be an object with start, end and action';
+    if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+        return 'sendWindow start and end must be HH:MM (24-hour)';
+    }
+    if (window.start === window.end) return 'sendWindow start and end must differ';
+    if (!SEND_WINDOW_ACTIONS.includes(window.action)) {
+        return `sendWindow action must be one of: ${SEND_WINDOW_ACTIONS.join(', ')}`;
+    }
+    return null;
+}
+
+// Is the window open in every timezone at this moment?
+function isWithinWindow(window, timezones, date) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return timezones.every(timezone => {
+        const now = localMinutes(date, timezone);
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    });
+}
+
+function findNextOpening(window, timezones, from) {
+    // Windows open on a whole minute; step coarsely, then walk back to the exact minute
+    const firstMinute = Math.ceil(from / MINUTE_MS) * MINUTE_MS;
+    for (let t = firstMinute; t <= from + MAX_LOOKAHEAD_MS; t += COARSE_STEP_MS) {
+        if (!isWithinWindow(window, timezones, new Date(t))) continue;
+        while (t - MINUTE_MS > from && isWithinWindow(window, timezones, new Date(t - MINUTE_MS))) {
+            t -= MINUTE_MS;
+        }
+        return t;
+    }
+    return null;
+}
+
+// Bulk sends ask the same question for thousands of recipients; answers are
+// cached for the current minute
+const openings = new Map();
+let openingsMinute = null;
+
+// Earliest moment from `date` when the window is open everywhere, or null if
+// it doesn't open within two days (windows that never overlap across zones)
+function nextWindowStart(window, timezones, date) {
+    const from = date.getTime();
+    if (isWithinWindow(window, timezones, date)) return new Date(from);
+    
+    const minute = Math.floor(from / MINUTE_MS);
+    if (minute !== openingsMinute) {
+        openings.clear();
+        openingsMinute = minute;
+    }
+    const key = `${window.start}-${window.end}|${timezones.join(',')}`;
+    if (!openings.has(key)) openings.set(key, findNextOpening(window, timezones, from));
+    
+    const opening = openings.get(key);
+    return opening === null ? null : new Date(Math.max(opening, from));
+}
+
+module.exports = {
+    SEND_WINDOW_ACTIONS,
+    COUNTRY_TIMEZONES,
+    isValidTimezone,
+    timezonesForCountry,
+    validateSendWindow,
+    isWithinWindow,
+    nextWindowStart
+};
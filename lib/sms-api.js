@@ -0,0 +1,106 @@
+// Vonage SMS API (/sms/json and /sms/xml) request parameters and responses.
+//
+// Requests come as a query string, a form-encoded body or JSON, authenticated
+// with api_key and api_secret, or api_key and a `sig` signature of the other
+// parameters. Responses list one message per SMS part, as JSON or as the XML
+// <mt-submission-response> with the same fields in camelCase.
+
+const MESSAGE_TYPES = ['text', 'unicode', 'binary', 'wappush', 'vcal', 'vcard'];
+
+// Optional parameters passed through to Vonage as they came
+const OPTIONAL_PARAMS = [
+    'type', 'ttl', 'status-report-req', 'callback', 'message-class', 'client-ref', 'account-ref',
+    'entity-id', 'content-id', 'protocol-id', 'udh', 'body', 'title', 'url', 'validity', 'vcal', 'vcard'
+];
+
+// Content parameters each message type needs besides to and from
+const REQUIRED_CONTENT = {
+    text: ['text'],
+    unicode: ['text'],
+    binary: ['body', 'udh'],
+    wappush: ['title', 'url'],
+    vcal: ['vcal'],
+    vcard: ['vcard']
+};
+
+function getMessageType(params) {
+    return params.type || 'text';
+}
+
+// Texts that can take an opt-out footer and be counted in SMS parts
+function isTextMessage(params) {
+    const type = getMessageType(params);
+    return (type === 'text' || type === 'unicode') && !params.udh;
+}
+
+// The optional parameters present on a request
+function pickOptionalParams(params) {
+    const picked = {};
+    for (const name of OPTIONAL_PARAMS) {
+        if (params[name] !== undefined && params[name] !== '') picked[name] = String(params[name]);
+    }
+    return picked;
+}
+
+// Problem with a request as a Vonage status and error text, or null
+function validateParams(params) {
+    const type = getMessageType(params);
+    if (!MESSAGE_TYPES.includes(type)) {
+        return { status: '3', 'error-text': 'Invalid value for parameter: type' };
+    }
+    const missing = ['to', 'from', ...REQUIRED_CONTENT[type]].filter(name => !params[name]);
+    if (missing.length > 0) {
+        return { status: '2', 'error-text': `Missing required fields: ${missing.join(', ')}` };
+    }
+    for (const name of ['body', 'udh']) {
+        if (params[name] && !/^([0-9a-f]{2})+$/i.test(params[name])) {
+            return { status: '3', 'error-text': `Invalid value for parameter: ${name}` };
+        }
+    }
+    if (params.ttl !== undefined && !/^\d+$/.test(String(params.ttl))) {
+        return { status: '3', 'error-text': 'Invalid value for parameter: ttl' };
+    }
+    if (params.callback && !/^https?:\/\/\S+$/.test(params.callback)) {
+        return { status: '23', 'error-text': 'Invalid value for parameter: callback' };
+    }
+    return null;
+}
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// "message-id" -> "messageId"
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// A JSON submission response as /sms/xml returns it
+function toXml(response) {
+    const messages = response.messages || [];
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<mt-submission-response>',
+        `    <messages count="${escapeXml(response['message-count'] || messages.length)}">`
+    ];
+    for (const message of messages) {
+        lines.push('        <message>');
+        for (const [name, value] of Object.entries(message)) {
+            if (value === undefined || value === null) continue;
+            lines.push(`            <${camelCase(name)}>${escapeXml(value)}</${camelCase(name)}>`);
+        }
+        lines.push('        </message>');
+    }
+    lines.push('    </messages>', '</mt-submission-response>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    OPTIONAL_PARAMS,
+    getMessageType,
+    isTextMessage,
+    pickOptionalParams,
+    validateParams,
+    toXml
+};
@@ -0,0 +1,48 @@
+// Local JSON file driver - one <key>.json file per data key in the data directory.
+// Writes go to a temp file that is fsynced and renamed over the target, so a
+// crash mid-write leaves the previous version intact rather than a truncated file.
+
+const fs = require('fs');
+const path = require('path');
+
+function createFileDriver({ dataDir, log }) {
+    const fileFor = key => path.join(dataDir, `${key}.json`);
+    
+    return {
+        name: 'file',
+        label: 'Local Files',
+        
+        async get(key) {
+            const file = fileFor(key);
+            if (!fs.existsSync(file)) return null;
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (e) {
+                log(`Error reading ${key} from file: ${e.message}`, 'error');
+                return null;
+            }
+        },
+        
+        async set(key, data) {
+            if (!fs.existsSync(dataDir)) {
+                fs.mkdirSync(dataDir, { recursive: true });
+            }
+            
+            const file = fileFor(key);
+            const tempFile = `${file}.${process.pid}.tmp`;
+            const handle = await fs.promises.open(tempFile, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(data, null, 2));
+                await handle.sync();
+            } catch (e) {
+                await handle.close();
+                await fs.promises.rm(tempFile, { force: true });
+                throw e;
+            }
+            await handle.close();
+            await fs.promises.rename(tempFile, file);
+        }
+    };
+}
+
+module.exports = { createFileDriver };
@@ -0,0 +1,38 @@
+// Storage driver selection. Every driver exposes async get(key) / set(key, data)
+// exchanging plain JSON values; readData/writeData in server.js sit on top.
+
+const path = require('path');
+const { createFileDriver } = require('./file');
+const { createVcrDriver } = require('./vcr');
+const { createSqliteDriver } = require('./sqlite');
+
+const STORAGE_DRIVERS = ['vcr', 'file', 'sqlite'];
+
+// Picks STORAGE_DRIVER when set, otherwise VCR state on VCR and files locally.
+// Returns { driver, fallback } - the file driver backs up VCR state on errors.
+function createStorage({ driver, isVcr, dataDir, sqlitePath, log }) {
+    const requested = driver || (isVcr ? 'vcr' : 'file');
+    
+    if (!STORAGE_DRIVERS.includes(requested)) {
+        throw new Error(`Unknown STORAGE_DRIVER "${requested}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+    }
+    
+    if (requested === 'sqlite') {
+        return {
+            driver: createSqliteDriver({ filename: sqlitePath || path.join(dataDir, 'optout-manager.db'), log }),
+            fallback: null
+        };
+    }
+    
+    if (requested === 'vcr') {
+        const vcrDriver = createVcrDriver({ log });
+        if (vcrDriver) {
+            return { driver: vcrDriver, fallback: createFileDriver({ dataDir, log }) };
+        }
+        log('Using file storage', 'warn');
+    }
+    
+    return { driver: createFileDriver({ dataDir, log }), fallback: null };
+}
+
+module.exports = { createStorage, STORAGE_DRIVERS };
@@ -0,0 +1,110 @@
+// Record logs - the append-mostly data sets (history, the message log) behind a
+// small query interface, so they don't have to be held and rewritten as one array.
+//
+// The SQLite driver provides table-backed logs (see sqlite.js); every other driver
+// gets a memory log over the cached array, persisted whole through `save`.
+//
+// Both implementations share the interface:
+//   add(records)         append
+//   update(records)      persist records that were changed in place
+//   remove(records)      delete
+//   replace(records)     swap the whole data set (imports, renormalization)
+//   prune(before)        delete records older than `before`; { removed, saved }
+//   find(query)          matching records
+//   count(query)         number of matching records
+//
+// Reads are synchronous and writes apply immediately (better-sqlite3 is
+// synchronous too), so a check followed by an add can't interleave with another
+// request. Writes take one record or an array of them and return a promise that
+// resolves to false when persisting failed.
+//
+// A query is { where: { field: value | [values] }, since, until, order, limit, filter }:
+// `since`/`until` bound the log's time field (ISO strings), `order` is 'asc'
+// (default) or 'desc' by that field, and `filter` is an extra predicate.
+
+function matchesWhere(record, where) {
+    return Object.entries(where || {}).every(([field, value]) => (
+        Array.isArray(value) ? value.includes(record[field]) : record[field] === value
+    ));
+}
+
+function createMemoryLog({ records, timeField, save, uniqueKey }) {
+    // Records by uniqueKey, so lookups like a delivery receipt's message ID skip the scan
+    const byKey = new Map();
+    const reindex = () => {
+        if (!uniqueKey) return;
+        byKey.clear();
+        records.forEach(record => byKey.set(record[uniqueKey], record));
+    };
+    reindex();
+    
+    function matching(query = {}) {
+        const { where, since, until, filter } = query;
+        const keyed = uniqueKey && where && typeof where[uniqueKey] === 'string';
+        const candidates = keyed ? [byKey.get(where[uniqueKey])].filter(Boolean) : records;
+        return candidates.filter(record => (
+            matchesWhere(record, where) &&
+            (!since || record[timeField] >= since) &&
+            (!until || record[timeField] <= until) &&
+            (!filter || filter(record))
+        ));
+    }
+    
+    return {
+        add(added) {
+            [].concat(added).forEach(record => {
+                records.push(record);
+                if (uniqueKey) byKey.set(record[uniqueKey], record);
+            });
+            return save();
+        },
+        
+        update() {
+            return save();
+        },
+        
+        remove(removed) {
+            const dropping = new Set([].concat(removed));
+            let kept = 0;
+            for (const record of records) {
+                if (!dropping.has(record)) records[kept++] = record;
+            }
+            records.length = kept;
+            reindex();
+            return save();
+        },
+        
+        replace(next) {
+            const copy = [...next];
+            records.length = 0;
+            copy.forEach(record => records.push(record));
+            reindex();
+            return save();
+        },
+        
+        prune(before) {
+            const kept = records.filter(record => !(record[timeField] < before));
+            const removed = records.length - kept.length;
+            if (removed === 0) return { removed, saved: Promise.resolve(true) };
+            
+            records.length = 0;
+            kept.forEach(record => records.push(record));
+            reindex();
+            return { removed, saved: save() };
+        },
+        
+        find(query = {}) {
+            const found = matching(query);
+            // Stable sort, so records with the same time keep their insertion order
+            found.sort((a, b) => (a[timeField] < b[timeField] ? -1 : a[timeField] > b[timeField] ? 1 : 0));
+            if (query.order === 'desc') found.reverse();
+            return query.limit ? found.slice(0, query.limit) : found;
+        },
+        
+        count(query) {
+            return matching(query).length;
+        }
+    };
+}
+
+module.exports = { createMemoryLog, matchesWhere };
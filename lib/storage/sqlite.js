@@ -0,0 +1,352 @@
+// SQLite driver - opt-outs, history, the message log and idempotency records live in indexed
+// tables, every other key is a JSON document in the kv table. Requires the optional better-sqlite3 package.
+//
+// The tables are used as record logs (see record-log.js) through table(key): each
+// add, update or remove writes just those rows, and queries filter and sort on
+// indexed columns. get/set still exchange whole arrays, for loading the opt-out
+// index at startup and for imports.
+
+const fs = require('fs');
+const path = require('path');
+const { matchesWhere } = require('./record-log');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS optouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        number TEXT NOT NULL,
+        config_id TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_optouts_number ON optouts (number);
+    CREATE INDEX IF NOT EXISTS idx_optouts_config ON optouts (config_id);
+    
+    CREATE TABLE IF NOT EXISTS history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        number TEXT NOT NULL,
+        action TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        received_on TEXT,
+        config_id TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_history_number ON history (number);
+    CREATE INDEX IF NOT EXISTS idx_history_timestamp ON history (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_history_action ON history (action, timestamp);
+    
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT NOT NULL,
+        to_number TEXT NOT NULL,
+        status TEXT NOT NULL,
+        submitted_at TEXT NOT NULL,
+        source TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages (message_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_to ON messages (to_number);
+    CREATE INDEX IF NOT EXISTS idx_messages_status ON messages (status, submitted_at);
+    CREATE INDEX IF NOT EXISTS idx_messages_submitted ON messages (submitted_at);
+    
+    CREATE TABLE IF NOT EXISTS idempotency (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_hash TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_idempotency_key ON idempotency (key_hash);
+    CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency (expires_at);
+`;
+
+// Columns for each table-backed key: `values` extracts them from an entry,
+// `fields` maps the entry fields queries may filter on to their column and
+// `timeColumn` is what since/until and the sort order apply to
+const TABLES = {
+    optouts: {
+        columns: ['number', 'config_id'],
+        values: entry => typeof entry === 'string'
+            ? [entry, null]
+            : [entry.number || '', entry.configId || null],
+        fields: { number: 'number', configId: 'config_id' },
+        timeColumn: null
+    },
+    history: {
+        columns: ['number', 'action', 'timestamp', 'received_on', 'config_id'],
+        values: entry => [
+            entry.number || '',
+            entry.action || '',
+            entry.timestamp || '',
+            entry.receivedOn || null,
+            entry.configId || null
+        ],
+        fields: { number: 'number', action: 'action', receivedOn: 'received_on', configId: 'config_id' },
+        timeColumn: 'timestamp'
+    },
+    messages: {
+        columns: ['message_id', 'to_number', 'status', 'submitted_at', 'source'],
+        values: entry => [
+            entry.messageId || '',
+            entry.to || '',
+            entry.status || '',
+            entry.submittedAt || '',
+            entry.source || null
+        ],
+        fields: { messageId: 'message_id', to: 'to_number', status: 'status', source: 'source' },
+        timeColumn: 'submitted_at'
+    },
+    idempotency: {
+        columns: ['key_hash', 'expires_at'],
+        values: entry => [entry.id || '', entry.expiresAt || ''],
+        fields: { id: 'key_hash' },
+        timeColumn: 'expires_at'
+    }
+};
+
+// Databases created before messages had a source column, or that keep
+// idempotency records as a kv document
+function migrate(db) {
+    const columns = db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+    if (!columns.includes('source')) {
+        db.exec(`
+            ALTER TABLE messages ADD COLUMN source TEXT;
+            UPDATE messages SET source = json_extract(data, '$.source');
+        `);
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_messages_source ON messages (source, submitted_at)');
+    
+    const idempotency = db.prepare("SELECT value FROM kv WHERE key = 'idempotency'").get();
+    if (idempotency) {
+        const insert = db.prepare('INSERT INTO idempotency (key_hash, expires_at, data) VALUES (?, ?, ?)');
+        db.transaction(() => {
+            JSON.parse(idempotency.value).forEach(record => {
+                insert.run(...TABLES.idempotency.values(record), JSON.stringify(record));
+            });
+            db.prepare("DELETE FROM kv WHERE key = 'idempotency'").run();
+        })();
+    }
+}
+
+function createSqliteDriver({ filename, log }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw new Error(`SQLite storage requires the better-sqlite3 package (${e.message})`);
+    }
+    
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    migrate(db);
+    
+    log(`SQLite storage opened at ${filename}`);
+    
+    const statements = {
+        kvGet: db.prepare('SELECT value FROM kv WHERE key = ?'),
+        kvSet: db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+    };
+    
+    const tables = {};
+    for (const table of Object.keys(TABLES)) {
+        tables[table] = createTableLog(table);
+    }
+    
+    function createTableLog(table) {
+        const { columns, values, fields, timeColumn } = TABLES[table];
+        const placeholders = columns.map(() => '?').join(', ');
+        const sql = {
+            all: db.prepare(`SELECT id, data FROM ${table} ORDER BY id`),
+            count: db.prepare(`SELECT COUNT(*) AS count FROM ${table}`),
+            insert: db.prepare(`INSERT INTO ${table} (${columns.join(', ')}, data) VALUES (${placeholders}, ?)`),
+            update: db.prepare(`UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}, data = ? WHERE id = ?`),
+            delete: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+            // Plain-string entries (legacy opt-outs) can't carry a row id
+            deleteByData: db.prepare(`DELETE FROM ${table} WHERE id = (SELECT id FROM ${table} WHERE data = ? LIMIT 1)`),
+            clear: db.prepare(`DELETE FROM ${table}`),
+            prune: timeColumn && db.prepare(`DELETE FROM ${table} WHERE ${timeColumn} < ?`)
+        };
+        
+        // Row id of every record this driver has inserted or returned
+        const rowIds = new WeakMap();
+        const queries = new Map();
+        
+        const track = (record, id) => {
+            if (record && typeof record === 'object') rowIds.set(record, id);
+            return record;
+        };
+        
+        const insert = record => {
+            const id = Number(sql.insert.run(...values(record), JSON.stringify(record)).lastInsertRowid);
+            track(record, id);
+        };
+        
+        // Inserts records that aren't stored yet, so update doubles as an upsert
+        const upsert = record => {
+            const id = typeof record === 'object' && rowIds.get(record);
+            if (!id || sql.update.run(...values(record), JSON.stringify(record), id).changes === 0) insert(record);
+        };
+        
+        // An object without a row id was never stored, so there is nothing to delete
+        const remove = record => {
+            if (typeof record !== 'object') sql.deleteByData.run(JSON.stringify(record));
+            else if (rowIds.has(record)) sql.delete.run(rowIds.get(record));
+        };
+        
+        const writers = {
+            add: db.transaction(records => records.forEach(insert)),
+            update: db.transaction(records => records.forEach(upsert)),
+            remove: db.transaction(records => records.forEach(remove)),
+            replace: db.transaction(records => {
+                sql.clear.run();
+                records.forEach(insert);
+            })
+        };
+        
+        function write(action, records) {
+            try {
+                writers[action](records);
+                return Promise.resolve(true);
+            } catch (e) {
+                log(`Error writing ${table} to SQLite: ${e.message}`, 'error');
+                return Promise.resolve(false);
+            }
+        }
+        
+        // Where clauses on columns become SQL; anything else is checked per row
+        function select(query, counting) {
+            const clauses = [];
+            const params = [];
+            const rest = {};
+            for (const [field, value] of Object.entries(query.where || {})) {
+                const column = fields[field];
+                if (!column) {
+                    rest[field] = value;
+                    continue;
+                }
+                const list = [].concat(value);
+                clauses.push(`${column} IN (${list.map(() => '?').join(', ')})`);
+                params.push(...list);
+            }
+            if (query.since) {
+                clauses.push(`${timeColumn} >= ?`);
+                params.push(query.since);
+            }
+            if (query.until) {
+                clauses.push(`${timeColumn} <= ?`);
+                params.push(query.until);
+            }
+            
+            const direction = query.order === 'desc' ? 'DESC' : 'ASC';
+            const inSql = Object.keys(rest).length === 0 && !query.filter;
+            let text = `SELECT ${counting && inSql ? 'COUNT(*) AS count' : 'id, data'} FROM ${table}`;
+            if (clauses.length > 0) text += ` WHERE ${clauses.join(' AND ')}`;
+            if (!counting) {
+                text += ` ORDER BY ${timeColumn ? `${timeColumn} ${direction}, ` : ''}id ${direction}`;
+                if (query.limit && inSql) text += ` LIMIT ${Number(query.limit)}`;
+            }
+            
+            if (!queries.has(text)) queries.set(text, db.prepare(text));
+            const matches = record => matchesWhere(record, rest) && (!query.filter || query.filter(record));
+            return { statement: queries.get(text), params, inSql, matches };
+        }
+        
+        return {
+            add: records => write('add', [].concat(records)),
+            update: records => write('update', [].concat(records)),
+            remove: records => write('remove', [].concat(records)),
+            replace: records => write('replace', records),
+            
+            prune(before) {
+                try {
+                    return { removed: sql.prune.run(before).changes, saved: Promise.resolve(true) };
+                } catch (e) {
+                    log(`Error pruning ${table} in SQLite: ${e.message}`, 'error');
+                    return { removed: 0, saved: Promise.resolve(false) };
+                }
+            },
+            
+            find(query = {}) {
+                const { statement, params, matches } = select(query, false);
+                const found = [];
+                for (const row of statement.iterate(...params)) {
+                    const record = JSON.parse(row.data);
+                    if (!matches(record)) continue;
+                    found.push(track(record, row.id));
+                    if (query.limit && found.length >= query.limit) break;
+                }
+                return found;
+            },
+            
+            count(query = {}) {
+                const { statement, params, inSql, matches } = select(query, true);
+                if (inSql) return statement.get(...params).count;
+                let count = 0;
+                for (const row of statement.iterate(...params)) {
+                    if (matches(JSON.parse(row.data))) count++;
+                }
+                return count;
+            },
+            
+            // The whole table in insertion order
+            all() {
+                return sql.all.all().map(row => track(JSON.parse(row.data), row.id));
+            },
+            
+            total() {
+                return sql.count.get().count;
+            },
+            
+            // Whole-array writes (imports) replace the table; unlike the log
+            // methods this throws, so persistKey can report the failure
+            replaceOrThrow(records) {
+                writers.replace(records);
+            }
+        };
+    }
+    
+    return {
+        name: 'sqlite',
+        label: 'SQLite',
+        db,
+        
+        async get(key) {
+            if (TABLES[key]) {
+                // An empty table is indistinguishable from "never written"; callers
+                // fall back to defaults, which for every table is an empty array
+                return tables[key].all();
+            }
+            const row = statements.kvGet.get(key);
+            return row ? JSON.parse(row.value) : null;
+        },
+        
+        async set(key, data) {
+            if (TABLES[key]) {
+                tables[key].replaceOrThrow(data);
+                return;
+            }
+            statements.kvSet.run(key, JSON.stringify(data));
+        },
+        
+        // Record log over a table-backed key, or null for kv keys
+        table(key) {
+            return tables[key] || null;
+        },
+        
+        // Number of rows in a table-backed key, without loading it
+        count(key) {
+            return TABLES[key] ? tables[key].total() : null;
+        },
+        
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteDriver, TABLES };
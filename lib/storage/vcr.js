@@ -0,0 +1,50 @@
+// VCR state driver - stores each data key as a JSON string in VCR global state
+// (falls back to instance state when global state is unavailable)
+
+// Key names used before the driver split, kept so existing VCR data is found
+const STORAGE_KEYS = {
+    config: 'optout_config',
+    credentials: 'optout_credentials',
+    optouts: 'optout_list',
+    history: 'optout_history',
+    auth: 'optout_auth'
+};
+
+function createVcrDriver({ log }) {
+    let state = null;
+    
+    try {
+        const { vcr } = require('@vonage/vcr-sdk');
+        // Try to get global state (persists across instances)
+        state = vcr.getGlobalState();
+        log('VCR global state storage initialized - data will persist across restarts');
+    } catch (e) {
+        try {
+            // Fallback: try instance state
+            const { vcr } = require('@vonage/vcr-sdk');
+            state = vcr.getInstanceState();
+            log('VCR instance state storage initialized');
+        } catch (e2) {
+            log(`VCR SDK not available: ${e.message}`, 'warn');
+            return null;
+        }
+    }
+    
+    const stateKey = key => STORAGE_KEYS[key] || `optout_${key}`;
+    
+    return {
+        name: 'vcr',
+        label: 'VCR Persistent State',
+        
+        async get(key) {
+            const data = await state.get(stateKey(key));
+            return data ? JSON.parse(data) : null;
+        },
+        
+        async set(key, data) {
+            await state.set(stateKey(key), JSON.stringify(data));
+        }
+    };
+}
+
+module.exports = { createVcrDriver };
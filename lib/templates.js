@@ -0,0 +1,63 @@
+// Message templates with {{name}} placeholders.
+//
+// A placeholder takes the recipient's value for it, then the template's
+// default. Placeholders listed as required must have a value; any other
+// placeholder without one is left empty. A message with a required value
+// missing is not rendered at all, so nobody gets "Hi {{firstName}}".
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_TEMPLATE_LENGTH = 1600;
+
+// Placeholder names in order of first use
+function placeholders(text) {
+    return [...new Set([...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+// A value that counts as given: anything but null, undefined or blank
+function valueOf(variables, name) {
+    const value = variables && variables[name];
+    if (value === undefined || value === null) return null;
+    const text = String(value);
+    return text.trim() ? text : null;
+}
+
+function validateTemplate({ name, text, defaults = {}, required = [] }) {
+    if (!name || typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (!text || typeof text !== 'string' || !text.trim()) return 'text is required';
+    if (text.length > MAX_TEMPLATE_LENGTH) return `text must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults) ||
+        Object.values(defaults).some(value => typeof value !== 'string')) {
+        return 'defaults must be an object of placeholder names to text';
+    }
+    if (!Array.isArray(required) || required.some(field => typeof field !== 'string')) {
+        return 'required must be an array of placeholder names';
+    }
+    
+    const names = placeholders(text);
+    const unknown = [...Object.keys(defaults), ...required].filter(field => !names.includes(field));
+    if (unknown.length > 0) return `Not placeholders in the text: ${[...new Set(unknown)].join(', ')}`;
+    
+    const both = required.filter(field => field in defaults);
+    if (both.length > 0) return `Required placeholders can't have defaults: ${both.join(', ')}`;
+    return null;
+}
+
+// Returns { text, missing }; text is null when required values are missing
+function renderTemplate({ text, defaults = {}, required = [] }, variables = {}) {
+    const missing = required.filter(field => valueOf(variables, field) === null);
+    if (missing.length > 0) return { text: null, missing };
+    
+    const rendered = text.replace(PLACEHOLDER_PATTERN, (match, field) => {
+        const value = valueOf(variables, field);
+        if (value !== null) return value;
+        return field in defaults ? defaults[field] : '';
+    });
+    return { text: rendered.trim(), missing: [] };
+}
+
+// Free text sent without a template: every placeholder in it is required
+function adHocTemplate(text) {
+    return { text, defaults: {}, required: placeholders(text) };
+}
+
+module.exports = { placeholders, validateTemplate, renderTemplate, adHocTemplate };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// One-shot import of the local JSON data files into the SQLite storage driver.
+//
+// Usage: node scripts/migrate-json-to-sqlite.js [--data-dir data] [--db data/optout-manager.db] [--force]
+//
+// The JSON files are left untouched. Start the server with STORAGE_DRIVER=sqlite
+// (and the same SQLITE_PATH) afterwards.
+
+const fs = require('fs');
+const path = require('path');
+const { createSqliteDriver, TABLES } = require('../lib/storage/sqlite');
+
+function parseArgs(argv) {
+    const args = { force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--force') args.force = true;
+        else if (argv[i] === '--data-dir') args.dataDir = argv[++i];
+        else if (argv[i] === '--db') args.db = argv[++i];
+    }
+    return args;
+}
+
+async function migrate() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataDir = path.resolve(args.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+    const filename = path.resolve(args.db || process.env.SQLITE_PATH || path.join(dataDir, 'optout-manager.db'));
+    
+    if (!fs.existsSync(dataDir)) {
+        throw new Error(`Data directory not found: ${dataDir}`);
+    }
+    
+    const driver = createSqliteDriver({ filename, log: message => console.log(message) });
+    
+    try {
+        const existing = Object.keys(TABLES).reduce((sum, table) => sum + driver.count(table), 0);
+        if (existing > 0 && !args.force) {
+            throw new Error(`${filename} already contains ${existing} opt-out/history/message/idempotency rows - rerun with --force to import anyway`);
+        }
+        
+        const files = fs.readdirSync(dataDir).filter(file => file.endsWith('.json'));
+        if (files.length === 0) {
+            console.log(`No JSON files found in ${dataDir}`);
+            return;
+        }
+        
+        for (const file of files) {
+            const key = path.basename(file, '.json');
+            const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+            await driver.set(key, data);
+            console.log(`Imported ${key}${Array.isArray(data) ? ` (${data.length} entries)` : ''}`);
+        }
+        
+        console.log(`Migration complete. Start the server with STORAGE_DRIVER=sqlite SQLITE_PATH=${filename}`);
+    } finally {
+        driver.close();
+    }
+}
+
+migrate().catch(err => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Run the mock Vonage server (lib/mock-vonage.js) on its own.
+//
+// Usage: node scripts/mock-vonage.js [--port 4010] [--webhook-url http://localhost:3000]
+//            [--api-key key --api-secret secret] [--number 447700900000 ...]
+//            [--signature-secret secret] [--signature-method md5hash]
+//
+// Then start the app with VONAGE_REST_URL and VONAGE_API_URL set to the printed
+// URL. Inbound SMS and receipts are sent to the webhook URL; script outcomes with
+// POST /_mock/scripts, inject inbound SMS with POST /_mock/inbound and see what
+// was sent with GET /_mock/messages.
+
+const { createMockVonage } = require('../lib/mock-vonage');
+
+function parseArgs(argv) {
+    const args = { numbers: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--webhook-url') args.webhookUrl = argv[++i];
+        else if (argv[i] === '--api-key') args.apiKey = argv[++i];
+        else if (argv[i] === '--api-secret') args.apiSecret = argv[++i];
+        else if (argv[i] === '--number') args.numbers.push(argv[++i]);
+        else if (argv[i] === '--signature-secret') args.signatureSecret = argv[++i];
+        else if (argv[i] === '--signature-method') args.signatureMethod = argv[++i];
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+    const mock = createMockVonage({
+        apiKey: args.apiKey,
+        apiSecret: args.apiSecret,
+        numbers: args.numbers.map(msisdn => ({ country: 'GB', msisdn, type: 'mobile-lvn', features: ['SMS', 'VOICE'] })),
+        webhookUrl: args.webhookUrl && args.webhookUrl.replace(/\/+$/, ''),
+        signatureSecret: args.signatureSecret,
+        signatureMethod: args.signatureMethod,
+        log: message => console.log(message)
+    });
+    
+    const url = await mock.listen(args.port || 4010);
+    console.log(`Mock Vonage listening on ${url}`);
+    console.log(`  VONAGE_REST_URL=${url} VONAGE_API_URL=${url} npm start`);
+    console.log(args.webhookUrl ? `  Webhooks go to ${args.webhookUrl}` : '  No --webhook-url: receipts and inbound SMS are not sent');
+}
+
+run().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -8,8 +8,23 @@ if (!process.env.VCR_PORT) {
 }
 
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createMemoryLog } = require('./lib/storage/record-log');
+const { createOptoutStore, scopeOf, channelsOf, GLOBAL_SCOPE } = require('./lib/optout-store');
+const phone = require('./lib/phone');
+const keywords = require('./lib/keywords');
+const { createJobQueue, cancelPending } = require('./lib/job-queue');
+const retry = require('./lib/retry');
+const { createIdempotencyStore } = require('./lib/idempotency');
+const sendWindows = require('./lib/send-window');
+const cron = require('./lib/cron');
+const templates = require('./lib/templates');
+const messageAnalysis = require('./lib/message-analysis');
+const optoutFooter = require('./lib/optout-footer');
+const messagesApi = require('./lib/messages-api');
+const smsApi = require('./lib/sms-api');
 
 const app = express();
 
@@ -21,9 +36,28 @@ const IS_VCR = !!process.env.VCR_PORT;
 // Configuration from environment (set in vcr.yml) or file
 const ENV_API_KEY = process.env.VONAGE_API_KEY;
 const ENV_API_SECRET = process.env.VONAGE_API_SECRET;
+// Messages API application: the key itself, or a path to its PEM file
+const ENV_APPLICATION_ID = process.env.VONAGE_APPLICATION_ID;
+const ENV_PRIVATE_KEY = process.env.VONAGE_PRIVATE_KEY ||
+    (process.env.VONAGE_PRIVATE_KEY_PATH ? require('fs').readFileSync(process.env.VONAGE_PRIVATE_KEY_PATH, 'utf8') : undefined);
+const ENV_SIGNATURE_SECRET = process.env.VONAGE_SIGNATURE_SECRET;
+const ENV_SIGNATURE_METHOD = process.env.VONAGE_SIGNATURE_METHOD || 'sha256';
+const ENV_ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const ENV_ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const ENV_DEFAULT_COUNTRY = phone.normalizeCountry(process.env.DEFAULT_COUNTRY);
+// Vonage API hosts; point them at a mock server (npm run mock:vonage) for offline testing
+const VONAGE_REST_URL = (process.env.VONAGE_REST_URL || 'https://rest.nexmo.com').replace(/\/+$/, '');
+const VONAGE_API_URL = (process.env.VONAGE_API_URL || 'https://api.nexmo.com').replace(/\/+$/, '');
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around for webhook signature (JWT payload_hash) checks
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+// Bulk routes accept tens of thousands of numbers, well past the 100kb default
+// that every other route keeps. A body parsed here is skipped by the parsers below.
+const BULK_ROUTES = ['/api/send/bulk', '/api/optout/bulk', '/api/optin/bulk', '/api/senders/bulk', '/api/schedules'];
+app.use(BULK_ROUTES, express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(BULK_ROUTES, express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 app.use(express.static('public'));
 
 // In-memory logs storage (last 500 logs)
@@ -45,48 +79,18 @@ function addLog(message, level = 'info') {
 }
 
 // ========== PERSISTENT STORAGE LAYER ==========
-// Uses VCR state when on VCR, file system when local
+// Pluggable drivers (lib/storage): VCR state on VCR, local JSON files otherwise,
+// or SQLite when STORAGE_DRIVER=sqlite
 
-let vcrState = null;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// Initialize VCR SDK if running on VCR
-if (IS_VCR) {
-    try {
-        const { vcr } = require('@vonage/vcr-sdk');
-        // Try to get global state (persists across instances)
-        vcrState = vcr.getGlobalState();
-        addLog('VCR global state storage initialized - data will persist across restarts');
-    } catch (e) {
-        try {
-            // Fallback: try instance state
-            const { vcr } = require('@vonage/vcr-sdk');
-            vcrState = vcr.getInstanceState();
-            addLog('VCR instance state storage initialized');
-        } catch (e2) {
-            addLog(`VCR SDK not available: ${e.message}. Using file storage.`, 'warn');
-        }
-    }
-}
-
-// Data storage paths (for local development fallback)
-const DATA_DIR = path.join(__dirname, 'data');
-const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
-const CREDENTIALS_FILE = path.join(DATA_DIR, 'credentials.json');
-const OPTOUT_FILE = path.join(DATA_DIR, 'optouts.json');
-const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
-
-// Storage keys for VCR state
-const STORAGE_KEYS = {
-    config: 'optout_config',
-    credentials: 'optout_credentials', 
-    optouts: 'optout_list',
-    history: 'optout_history'
-};
-
-// Ensure data directory exists (for local)
-if (!IS_VCR && !fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR);
-}
+const { driver: storageDriver, fallback: fallbackDriver } = createStorage({
+    driver: process.env.STORAGE_DRIVER,
+    isVcr: IS_VCR,
+    dataDir: DATA_DIR,
+    sqlitePath: process.env.SQLITE_PATH,
+    log: addLog
+});
 
 // Default data
 const defaultCredentials = ENV_API_KEY && ENV_API_SECRET ? {
@@ -104,92 +108,119 @@ const defaultConfig = {
     customSenders: []
 };
 
+const defaultAuth = {
+    admin: null,
+    sessionSecret: '',
+    apiKeys: []
+};
+
+// Fresh copy of the defaults for a key, so callers can mutate it safely
+function getDefaultData(key) {
+    const defaults = {
+        config: defaultConfig,
+        credentials: defaultCredentials,
+        optouts: [],
+        history: [],
+        auth: defaultAuth,
+        messages: [],
+        jobs: [],
+        deadLetters: [],
+        idempotency: [],
+        deferred: [],
+        confirmations: [],
+        timezones: [],
+        schedules: [],
+        templates: []
+    };
+    return JSON.parse(JSON.stringify(defaults[key] !== undefined ? defaults[key] : null));
+}
+
 // In-memory cache for faster reads
 let dataCache = {
     config: null,
     credentials: null,
     optouts: null,
-    history: null
+    history: null,
+    auth: null,
+    messages: null,
+    jobs: null,
+    deadLetters: null,
+    idempotency: null,
+    deferred: null,
+    confirmations: null,
+    timezones: null,
+    schedules: null,
+    templates: null
 };
 
 // Async storage functions
 async function readData(key) {
     // Return from cache if available
-    if (dataCache[key] !== null) {
+    if (dataCache[key] != null) {
         return dataCache[key];
     }
     
-    if (vcrState) {
-        // Use VCR state
+    for (const driver of [storageDriver, fallbackDriver].filter(Boolean)) {
         try {
-            const data = await vcrState.get(STORAGE_KEYS[key]);
-            if (data) {
-                dataCache[key] = JSON.parse(data);
+            const data = await driver.get(key);
+            if (data !== null && data !== undefined) {
+                dataCache[key] = data;
                 return dataCache[key];
             }
         } catch (e) {
-            addLog(`Error reading ${key} from VCR state: ${e.message}`, 'error');
-        }
-    }
-    
-    // Fall back to file system
-    const fileMap = {
-        config: CONFIG_FILE,
-        credentials: CREDENTIALS_FILE,
-        optouts: OPTOUT_FILE,
-        history: HISTORY_FILE
-    };
-    
-    try {
-        if (fs.existsSync(fileMap[key])) {
-            dataCache[key] = JSON.parse(fs.readFileSync(fileMap[key], 'utf8'));
-            return dataCache[key];
+            addLog(`Error reading ${key} from ${driver.label}: ${e.message}`, 'error');
         }
-    } catch (e) {
-        addLog(`Error reading ${key} from file: ${e.message}`, 'error');
     }
     
     // Return defaults
-    const defaults = {
-        config: defaultConfig,
-        credentials: defaultCredentials,
-        optouts: [],
-        history: []
-    };
-    
-    return defaults[key];
+    return getDefaultData(key);
 }
 
-async function writeData(key, data) {
-    // Update cache
-    dataCache[key] = data;
-    
-    if (vcrState) {
-        // Save to VCR state
+// Per-key write queue. Writes for a key run one at a time and always persist
+// the latest cached value, so a slow older write can never land after a newer
+// one. A write requested while another is waiting to start shares its result.
+const writeQueues = {};
+
+async function persistKey(key) {
+    for (const driver of [storageDriver, fallbackDriver].filter(Boolean)) {
         try {
-            await vcrState.set(STORAGE_KEYS[key], JSON.stringify(data));
-            addLog(`Saved ${key} to VCR persistent state`);
+            await driver.set(key, dataCache[key]);
+            if (driver.name === 'vcr') {
+                addLog(`Saved ${key} to VCR persistent state`);
+            }
             return true;
         } catch (e) {
-            addLog(`Error writing ${key} to VCR state: ${e.message}`, 'error');
+            addLog(`Error writing ${key} to ${driver.label}: ${e.message}`, 'error');
         }
     }
+    return false;
+}
+
+// Resolves to true once the value is persisted, false if every driver failed
+function writeData(key, data) {
+    // Update cache
+    dataCache[key] = data;
     
-    // Fall back to file system
-    const fileMap = {
-        config: CONFIG_FILE,
-        credentials: CREDENTIALS_FILE,
-        optouts: OPTOUT_FILE,
-        history: HISTORY_FILE
-    };
-    
-    try {
-        fs.writeFileSync(fileMap[key], JSON.stringify(data, null, 2));
-        return true;
-    } catch (e) {
-        addLog(`Error writing ${key} to file: ${e.message}`, 'error');
-        return false;
+    const queue = writeQueues[key] || (writeQueues[key] = { tail: Promise.resolve(), pending: null });
+    if (!queue.pending) {
+        queue.pending = queue.tail.then(() => {
+            queue.pending = null;
+            return persistKey(key);
+        });
+        queue.tail = queue.pending;
     }
+    return queue.pending;
+}
+
+// Wait for several writes; true only if all of them succeeded. A falsy entry
+// is a write that was skipped (e.g. `isConfirmation && saveConfirmations()`).
+async function saveAll(...writes) {
+    const results = await Promise.all(writes.filter(Boolean));
+    return results.every(Boolean);
+}
+
+function sendStorageError(res) {
+    return res.status(500).json({ error: 'Failed to save changes to storage' });
 }
 
 // Initialize default data
@@ -197,123 +228,729 @@ async function initializeStorage() {
     // Initialize each data type with defaults if not exists
     const config = await readData('config');
     if (!config || !config.optoutConfigs) {
-        await writeData('config', defaultConfig);
+        await writeData('config', getDefaultData('config'));
     }
     
     const credentials = await readData('credentials');
     if (!credentials || (!credentials.apiKey && !ENV_API_KEY)) {
-        await writeData('credentials', defaultCredentials);
+        await writeData('credentials', getDefaultData('credentials'));
     }
     
-    const optouts = await readData('optouts');
-    if (!optouts) {
-        await writeData('optouts', []);
-    }
+    // Keep the (possibly empty) lists cached so sync reads never miss
+    dataCache.optouts = await readData('optouts');
+    historyLog = await openRecordLog('history', { timeField: 'timestamp' });
+    messageLog = await openRecordLog('messages', { timeField: 'submittedAt', uniqueKey: 'messageId' });
+    dataCache.jobs = await readData('jobs');
+    dataCache.deadLetters = await readData('deadLetters');
+    idempotencyStore.load(await openRecordLog('idempotency', { timeField: 'expiresAt', uniqueKey: 'id' }));
+    dataCache.deferred = await readData('deferred');
+    dataCache.confirmations = await readData('confirmations');
+    dataCache.timezones = await readData('timezones');
+    dataCache.schedules = await readData('schedules');
+    dataCache.templates = await readData('templates');
+    optoutStore.load(dataCache.optouts);
+    indexTimezones(dataCache.timezones);
     
-    const history = await readData('history');
-    if (!history) {
-        await writeData('history', []);
+    // Session cookies are signed with a per-instance secret generated on first start
+    const auth = await readData('auth');
+    if (!auth || !auth.sessionSecret) {
+        await writeData('auth', {
+            ...getDefaultData('auth'),
+            ...auth,
+            sessionSecret: crypto.randomBytes(32).toString('hex')
+        });
     }
     
-    addLog(`Storage initialized (${IS_VCR ? 'VCR persistent state' : 'local files'})`);
+    addLog(`Storage initialized (${storageDriver.label})`);
+}
+
+// VCR state survives restarts; local files and SQLite only do when not on VCR
+function isStoragePersistent() {
+    return storageDriver.name === 'vcr' || (storageDriver.name === 'sqlite' && !IS_VCR);
+}
+
+// ========== RECORD LOGS ==========
+// History and the message log only grow, so they are read through queries and
+// written a record at a time (lib/storage/record-log.js), as are idempotency
+// records. SQLite keeps them in indexed tables; other drivers use the cached
+// array and persist it whole.
+
+let historyLog = null;
+let messageLog = null;
+
+async function openRecordLog(key, options) {
+    const table = storageDriver.table && storageDriver.table(key);
+    if (table) return table;
+    
+    dataCache[key] = await readData(key);
+    return createMemoryLog({ ...options, records: dataCache[key], save: () => writeData(key, dataCache[key]) });
 }
 
 // Synchronous wrappers for backward compatibility (using cache)
 function readJSON(key) {
-    if (dataCache[key] !== null) {
-        return dataCache[key];
+    if (dataCache[key] == null) {
+        dataCache[key] = getDefaultData(key);
     }
+    return dataCache[key];
+}
+
+// Fire-and-forget write for bookkeeping that must not hold up a response;
+// failures are still logged by persistKey
+function writeJSON(key, data) {
+    writeData(key, data);
+}
+
+// ========== OPT-OUT INDEX ==========
+// All blocklist checks and changes go through optoutStore; the underlying array
+// is the cached "optouts" data, so saving it persists the index contents.
+// Stored numbers are already E.164, so the index only needs to strip formatting.
+
+const optoutStore = createOptoutStore({
+    normalize: num => String(num || '').replace(/[^0-9]/g, ''),
+    channels: messagesApi.CHANNELS
+});
+
+// SQLite stores opt-outs as rows and only writes the entries that changed;
+// changes that fail to write stay pending for the next save
+function saveOptouts() {
+    const rows = storageDriver.table && storageDriver.table('optouts');
+    if (!rows) return writeData('optouts', optoutStore.list());
+    
+    const changes = optoutStore.takeChanges();
+    return saveAll(
+        changes.removed.length > 0 && rows.remove(changes.removed),
+        changes.upserted.length > 0 && rows.update(changes.upserted)
+    ).then(saved => {
+        if (!saved) optoutStore.requeueChanges(changes);
+        return saved;
+    });
+}
+
+// Swap in a rebuilt opt-out list
+function replaceOptouts(list) {
+    optoutStore.load(list);
+    const rows = storageDriver.table && storageDriver.table('optouts');
+    if (!rows) return writeData('optouts', list);
     
-    // Fallback to file for sync reads (local dev)
-    const fileMap = {
-        config: CONFIG_FILE,
-        credentials: CREDENTIALS_FILE,
-        optouts: OPTOUT_FILE,
-        history: HISTORY_FILE
+    dataCache.optouts = list;
+    return rows.replace(list);
+}
+
+// ========== IDEMPOTENCY ==========
+// Send routes honour an Idempotency-Key header (or /sms/json's client-ref): the
+// first response is stored for the window and replayed for repeats, blocked
+// and failed outcomes included. Server errors are not stored, so those
+// requests can be retried. Expired records are pruned hourly.
+
+const ENV_IDEMPOTENCY_WINDOW_HOURS = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+const MAX_IDEMPOTENCY_WINDOW_HOURS = 720;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const IDEMPOTENCY_PRUNE_MS = 60 * 60 * 1000;
+
+const idempotencyStore = createIdempotencyStore();
+
+function startIdempotencyPruner() {
+    const prune = () => {
+        const { removed } = idempotencyStore.prune();
+        if (removed > 0) addLog(`Pruned ${removed} expired idempotency records`);
     };
+    prune();
+    setInterval(prune, IDEMPOTENCY_PRUNE_MS);
+}
+
+function getIdempotencyWindowHours() {
+    const config = readJSON("config");
+    return config.idempotencyWindowHours || ENV_IDEMPOTENCY_WINDOW_HOURS;
+}
+
+function validateIdempotencyWindow(hours) {
+    if (hours !== undefined && hours !== null &&
+        !(typeof hours === 'number' && hours > 0 && hours <= MAX_IDEMPOTENCY_WINDOW_HOURS)) {
+        return `idempotencyWindowHours must be a number above 0 and at most ${MAX_IDEMPOTENCY_WINDOW_HOURS}`;
+    }
+    return null;
+}
+
+// Keys are per caller, so two API keys can't replay each other's responses
+function callerId(principal) {
+    if (principal.type === 'apiKey') return `key:${principal.keyId}`;
+    if (principal.type === 'vonage') return `vonage:${principal.apiKey || principal.applicationId}`;
+    return `session:${principal.user}`;
+}
+
+// Route middleware; runs after authentication
+function idempotent(route, { fallbackKey, sendError } = {}) {
+    const reject = sendError || ((res, status, error) => res.status(status).json({ error }));
     
-    try {
-        if (fs.existsSync(fileMap[key])) {
-            return JSON.parse(fs.readFileSync(fileMap[key], 'utf8'));
+    return (req, res, next) => {
+        const header = req.get('Idempotency-Key');
+        const key = header || (fallbackKey && fallbackKey(req));
+        if (!key) return next();
+        if (String(key).length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return reject(res, 400, `Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
         }
-    } catch (e) {}
-    
-    const defaults = {
-        config: defaultConfig,
-        credentials: defaultCredentials,
-        optouts: [],
-        history: []
+        
+        // A signed request's sig and timestamp change with every retry
+        const { api_secret, sig, timestamp, ...body } = req.body || {};
+        const fingerprint = hashText(JSON.stringify(body));
+        // Fallback keys like client-ref are often shared by a whole campaign, so
+        // they only deduplicate identical requests
+        const id = hashText(`${route}|${callerId(req.principal)}|${key}${header ? '' : `|${fingerprint}`}`);
+        
+        const { state, record } = idempotencyStore.begin(id, fingerprint);
+        if (state === 'replay') {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.statusCode).json(record.body);
+        }
+        if (state === 'mismatch') {
+            return reject(res, 422, 'Idempotency key was already used for a different request');
+        }
+        if (state === 'in-flight') {
+            return reject(res, 409, 'A request with this idempotency key is still in progress');
+        }
+        
+        res.on('close', () => idempotencyStore.release(id));
+        
+        // Store the response before it goes out, so a retry racing a crash still replays it
+        const json = res.json.bind(res);
+        res.json = responseBody => {
+            res.json = json;
+            if (res.statusCode >= 500) {
+                return json(responseBody);
+            }
+            
+            const now = new Date();
+            const saved = idempotencyStore.complete({
+                id: id,
+                route: route,
+                fingerprint: fingerprint,
+                statusCode: res.statusCode,
+                body: responseBody,
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + getIdempotencyWindowHours() * 3600000).toISOString()
+            });
+            saved.then(() => json(responseBody));
+            return res;
+        };
+        
+        next();
     };
+}
+
+// ========== MESSAGE LOG ==========
+// Every message Vonage accepts is logged by message-id so delivery receipts on
+// /webhooks/status can update it. Vonage splits long texts into several parts,
+// each with its own message-id and receipt.
+
+const DELIVERY_STATUSES = ['delivered', 'expired', 'failed', 'rejected', 'accepted', 'buffered', 'unknown'];
+// Messages API statuses beyond those: WhatsApp and RCS report when a message is read
+const MESSAGE_STATUSES = [...DELIVERY_STATUSES, 'submitted', 'read'];
+
+// Vonage SMS delivery receipt error codes
+const DLR_ERROR_CODES = {
+    '1': 'Unknown',
+    '2': 'Absent subscriber - temporary',
+    '3': 'Absent subscriber - permanent',
+    '4': 'Call barred by user',
+    '5': 'Portability error',
+    '6': 'Anti-spam rejection',
+    '7': 'Handset busy',
+    '8': 'Network error',
+    '9': 'Illegal number',
+    '10': 'Illegal message',
+    '11': 'Unroutable',
+    '12': 'Destination unreachable',
+    '13': 'Subscriber age restriction',
+    '14': 'Number blocked by carrier',
+    '15': 'Prepaid insufficient funds',
+    '16': 'Gateway quota exceeded',
+    '50': 'Entity filter',
+    '51': 'Header filter',
+    '52': 'Content filter',
+    '53': 'Consent filter',
+    '54': 'Regulation error',
+    '99': 'General error'
+};
+
+function findMessage(messageId) {
+    return messageLog.find({ where: { messageId: String(messageId) }, limit: 1 })[0] || null;
+}
+
+// Messages older than MESSAGE_RETENTION_DAYS are dropped from the log (0 keeps
+// them forever); receipts don't arrive that late, so nothing would update them
+const MESSAGE_RETENTION_DAYS = process.env.MESSAGE_RETENTION_DAYS !== undefined
+    ? parseFloat(process.env.MESSAGE_RETENTION_DAYS) || 0
+    : 90;
+const MESSAGE_PRUNE_MS = 60 * 60 * 1000;
+
+function pruneMessages(now = Date.now()) {
+    if (!MESSAGE_RETENTION_DAYS) return Promise.resolve(true);
     
-    return defaults[key];
+    const before = new Date(now - MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { removed, saved } = messageLog.prune(before);
+    if (removed > 0) {
+        addLog(`Pruned ${removed} messages older than ${MESSAGE_RETENTION_DAYS} days from the message log`);
+    }
+    return saved;
 }
 
-function writeJSON(key, data) {
-    dataCache[key] = data;
-    writeData(key, data); // Fire async write
+function startMessagePruner() {
+    pruneMessages();
+    setInterval(pruneMessages, MESSAGE_PRUNE_MS);
+}
+
+// Only a hash of the text is kept, so the log doesn't hold message content
+function hashText(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+// Log the accepted parts of a Vonage SMS API response. Not awaited by the send
+// routes: the message is already out, and persistKey logs any storage failure.
+function recordSubmission(data, { from, text, source }) {
+    const submittedAt = new Date().toISOString();
+    const recorded = [];
+    
+    for (const part of (data && data.messages) || []) {
+        const messageId = part['message-id'];
+        if (part.status !== '0' || !messageId || findMessage(messageId)) continue;
+        
+        const message = {
+            messageId: messageId,
+            to: part.to,
+            from: from,
+            textHash: hashText(text),
+            price: part['message-price'] || null,
+            network: part.network || null,
+            status: 'submitted',
+            errorCode: null,
+            errorText: null,
+            source: source,
+            ...(isSandboxMode() && { sandbox: true }),
+            submittedAt: submittedAt,
+            updatedAt: submittedAt
+        };
+        recorded.push(message);
+    }
+    
+    return recorded.length > 0 ? messageLog.add(recorded) : Promise.resolve(true);
+}
+
+// Log a message the Messages API accepted; it has one message_uuid however long it is
+function recordChannelSubmission(messageId, { to, from, text, channel, source }) {
+    const submittedAt = new Date().toISOString();
+    const message = {
+        messageId: messageId,
+        channel: channel,
+        to: to,
+        from: from,
+        textHash: hashText(text),
+        price: null,
+        network: null,
+        status: 'submitted',
+        errorCode: null,
+        errorText: null,
+        source: source,
+        ...(isSandboxMode() && { sandbox: true }),
+        submittedAt: submittedAt,
+        updatedAt: submittedAt
+    };
+    return messageLog.add(message);
 }
 
-// Get active credentials (environment takes priority)
+// Get active credentials (environment takes priority, separately for the API
+// key/secret and the Messages API application)
 function getActiveCredentials() {
+    const stored = readJSON("credentials");
+    const application = ENV_APPLICATION_ID && ENV_PRIVATE_KEY
+        ? { applicationId: ENV_APPLICATION_ID, privateKey: ENV_PRIVATE_KEY, applicationSource: 'environment' }
+        : { applicationId: stored.applicationId, privateKey: stored.privateKey, applicationSource: 'file' };
+    
     if (ENV_API_KEY && ENV_API_SECRET) {
         return {
             apiKey: ENV_API_KEY,
             apiSecret: ENV_API_SECRET,
             isLocked: true,
-            source: 'environment'
+            source: 'environment',
+            ...application
         };
     }
-    return { ...readJSON("credentials"), source: 'file' };
+    return { ...stored, source: 'file', ...application };
+}
+
+// Channels other than SMS go through the Messages API, which needs an application
+function credentialsError(credentials, channel = 'sms') {
+    if (channel !== 'sms') {
+        return credentials.applicationId && credentials.privateKey ? null : 'Messages API application not configured';
+    }
+    return credentials.apiKey && credentials.apiSecret ? null : 'API credentials not configured';
+}
+
+// ========== AUTHENTICATION ==========
+// Admin login for the dashboard (signed session cookie) and scoped API keys
+// for programmatic access. Webhooks and the health check stay public.
+
+const SESSION_COOKIE = 'optout_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'oom_';
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// `admin` implies every other scope
+const API_SCOPES = ['send', 'optout:read', 'optout:write', 'reports:read', 'admin'];
+
+// Failed login attempts per client IP (in-memory)
+const loginAttempts = new Map();
+
+// Forget clients whose last failure is older than the lockout, which also ends
+// their lockout. An entry is re-inserted on every failure, so the map is in
+// order of last failure and only its oldest entries need looking at.
+function pruneLoginAttempts(now) {
+    for (const [ip, attempts] of loginAttempts) {
+        if (now - attempts.last < LOGIN_LOCKOUT_MS) break;
+        loginAttempts.delete(ip);
+    }
+}
+
+// Creating the admin account takes this token, printed at startup, so the
+// first visitor to a fresh instance can't claim it
+const SETUP_TOKEN = process.env.SETUP_TOKEN || crypto.randomBytes(16).toString('hex');
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isAdminConfigured() {
+    return !!ENV_ADMIN_PASSWORD || !!readJSON("auth").admin;
+}
+
+function verifyAdminLogin(username, password) {
+    if (!username || !password) return false;
+    
+    // Environment password takes priority, like the Vonage credentials
+    if (ENV_ADMIN_PASSWORD) {
+        return safeEqual(username, ENV_ADMIN_USERNAME) && safeEqual(password, ENV_ADMIN_PASSWORD);
+    }
+    
+    const admin = readJSON("auth").admin;
+    if (!admin || !safeEqual(username, admin.username)) return false;
+    return safeEqual(hashPassword(password, admin.salt).hash, admin.passwordHash);
+}
+
+function signSession(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', readJSON("auth").sessionSecret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+function verifySession(token) {
+    if (!token || !token.includes('.')) return null;
+    
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', readJSON("auth").sessionSecret).update(body).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+    
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // Malformed, e.g. set by another app on the host; not one of ours
+        }
+    });
+    return cookies;
+}
+
+function setSessionCookie(req, res, token, maxAgeMs) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.setHeader('Set-Cookie', [
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+        ...(secure ? ['Secure'] : [])
+    ].join('; '));
+}
+
+function getRequestApiKey(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.headers['x-api-key'] || null;
+}
+
+// Resolve the caller from the session cookie or an API key.
+// Returns null when the request carries no valid credentials.
+function authenticateRequest(req) {
+    const session = verifySession(parseCookies(req)[SESSION_COOKIE]);
+    if (session) {
+        return { type: 'session', user: session.u, scopes: ['admin'] };
+    }
+    
+    const key = getRequestApiKey(req);
+    if (!key) return null;
+    
+    const auth = readJSON("auth");
+    const keyHash = hashApiKey(key);
+    const apiKey = auth.apiKeys.find(k => !k.revokedAt && safeEqual(k.keyHash, keyHash));
+    if (!apiKey) return null;
+    
+    // Persist last-used timestamps without rewriting storage on every request
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+        apiKey.lastUsedAt = new Date(now).toISOString();
+        writeJSON("auth", auth);
+    }
+    
+    return { type: 'apiKey', keyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+}
+
+function hasScope(principal, scope) {
+    return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+}
+
+// Route middleware: require a session or an API key carrying `scope`
+function requireScope(scope) {
+    return (req, res, next) => {
+        const principal = req.principal || authenticateRequest(req);
+        if (!principal) {
+            return res.status(401).json({
+                error: isAdminConfigured() ? 'Authentication required' : 'Admin account not set up',
+                setupRequired: !isAdminConfigured()
+            });
+        }
+        if (!hasScope(principal, scope)) {
+            addLog(`Denied ${req.method} ${req.path} for API key "${principal.name}" (missing scope ${scope})`, 'warn');
+            return res.status(403).json({ error: `API key is missing required scope: ${scope}` });
+        }
+        req.principal = principal;
+        next();
+    };
 }
 
+// Session status for the dashboard
+app.get('/api/auth/status', (req, res) => {
+    const session = verifySession(parseCookies(req)[SESSION_COOKIE]);
+    res.json({
+        authenticated: !!session,
+        user: session ? session.u : null,
+        setupRequired: !isAdminConfigured(),
+        passwordSource: ENV_ADMIN_PASSWORD ? 'environment' : 'file'
+    });
+});
+
+// First-run admin account creation (only while no admin exists)
+app.post('/api/auth/setup', async (req, res) => {
+    if (isAdminConfigured()) {
+        return res.status(400).json({ error: 'Admin account already configured' });
+    }
+    
+    const { username, password, setupToken } = req.body;
+    if (typeof setupToken !== 'string' || !safeEqual(setupToken, SETUP_TOKEN)) {
+        addLog(`Rejected admin account setup from ${req.ip} - invalid setup token`, 'warn');
+        return res.status(403).json({ error: 'Invalid setup token. It is printed in the server log at startup.' });
+    }
+    if (!username || !password || password.length < 8) {
+        return res.status(400).json({ error: 'Username and a password of at least 8 characters are required' });
+    }
+    
+    const auth = readJSON("auth");
+    const { salt, hash } = hashPassword(password);
+    auth.admin = {
+        username,
+        salt,
+        passwordHash: hash,
+        createdAt: new Date().toISOString()
+    };
+    if (!await writeData('auth', auth)) {
+        auth.admin = null;
+        return sendStorageError(res);
+    }
+    
+    addLog(`Admin account "${username}" created`);
+    
+    setSessionCookie(req, res, signSession({ u: username, exp: Date.now() + SESSION_TTL_MS }), SESSION_TTL_MS);
+    res.json({ success: true, user: username });
+});
+
+// Log in to the dashboard
+app.post('/api/auth/login', (req, res) => {
+    const ip = req.ip;
+    const now = Date.now();
+    pruneLoginAttempts(now);
+    const attempts = loginAttempts.get(ip);
+    if (attempts && attempts.count >= LOGIN_MAX_ATTEMPTS) {
+        return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+    }
+    
+    const { username, password } = req.body;
+    if (!verifyAdminLogin(username, password)) {
+        loginAttempts.delete(ip);
+        loginAttempts.set(ip, { count: (attempts ? attempts.count : 0) + 1, last: now });
+        addLog(`Failed admin login for "${username}" from ${ip}`, 'warn');
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    loginAttempts.delete(ip);
+    addLog(`Admin "${username}" logged in`);
+    
+    setSessionCookie(req, res, signSession({ u: username, exp: Date.now() + SESSION_TTL_MS }), SESSION_TTL_MS);
+    res.json({ success: true, user: username });
+});
+
+// Log out of the dashboard
+app.post('/api/auth/logout', (req, res) => {
+    setSessionCookie(req, res, '', 0);
+    res.json({ success: true });
+});
+
+// ========== API KEYS ==========
+
+// List API keys (hashes are never returned)
+app.get('/api/keys', requireScope('admin'), (req, res) => {
+    const auth = readJSON("auth");
+    res.json(auth.apiKeys.map(({ keyHash, ...key }) => key));
+});
+
+// Create an API key - the plaintext key is only returned once
+app.post('/api/keys', requireScope('admin'), async (req, res) => {
+    const { name, scopes } = req.body;
+    
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ error: `scopes must be a non-empty array of: ${API_SCOPES.join(', ')}` });
+    }
+    
+    const invalid = scopes.filter(s => !API_SCOPES.includes(s));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown scopes: ${invalid.join(', ')}` });
+    }
+    
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const auth = readJSON("auth");
+    const newKey = {
+        id: Date.now().toString(),
+        name,
+        prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        keyHash: hashApiKey(key),
+        scopes: [...new Set(scopes)],
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+    auth.apiKeys.push(newKey);
+    if (!await writeData('auth', auth)) {
+        auth.apiKeys = auth.apiKeys.filter(k => k !== newKey);
+        return sendStorageError(res);
+    }
+    
+    addLog(`API key "${name}" created with scopes ${newKey.scopes.join(', ')}`);
+    
+    const { keyHash, ...publicKey } = newKey;
+    res.json({ success: true, key, apiKey: publicKey });
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', requireScope('admin'), async (req, res) => {
+    const auth = readJSON("auth");
+    const apiKey = auth.apiKeys.find(k => k.id === req.params.id);
+    
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    if (!apiKey.revokedAt) {
+        // Revocation takes effect immediately, even if it could not be persisted
+        apiKey.revokedAt = new Date().toISOString();
+        if (!await writeData('auth', auth)) {
+            return sendStorageError(res);
+        }
+        addLog(`API key "${apiKey.name}" revoked`);
+    }
+    
+    res.json({ success: true });
+});
+
 // Health check endpoint for VCR
 app.get('/_/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 // Storage status endpoint
-app.get('/api/storage-status', async (req, res) => {
+app.get('/api/storage-status', requireScope('admin'), async (req, res) => {
     const config = await readData('config');
-    const optouts = await readData('optouts');
-    const history = await readData('history');
     
     res.json({
-        storageType: IS_VCR && vcrState ? 'VCR Persistent State' : 'Local Files',
-        persistent: IS_VCR && vcrState ? true : false,
+        storageType: storageDriver.label,
+        driver: storageDriver.name,
+        persistent: isStoragePersistent(),
         data: {
             configurations: (config?.optoutConfigs || []).length,
             customSenders: (config?.customSenders || []).length,
-            optedOutNumbers: (optouts || []).length,
-            historyEntries: (history || []).length
+            optedOutNumbers: optoutStore.size(),
+            historyEntries: historyLog.count()
         },
-        message: IS_VCR && vcrState 
-            ? 'Data is stored in VCR persistent state and will survive restarts' 
-            : 'Data is stored in local files (will be lost on VCR restart)'
+        message: isStoragePersistent()
+            ? `Data is stored in ${storageDriver.label} and will survive restarts`
+            : `Data is stored in ${storageDriver.label} (will be lost on VCR restart)`
     });
 });
 
 // Get logs
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', requireScope('admin'), (req, res) => {
     res.json(inMemoryLogs);
 });
 
 // Clear logs
-app.delete('/api/logs', (req, res) => {
+app.delete('/api/logs', requireScope('admin'), (req, res) => {
     inMemoryLogs = [];
     addLog('Logs cleared');
     res.json({ success: true });
 });
 
 // Get credentials
-app.get('/api/credentials', (req, res) => {
-    const credentials = getActiveCredentials();
+app.get('/api/credentials', requireScope('admin'), (req, res) => {
+    const { privateKey, ...credentials } = getActiveCredentials();
+    // The application's private key is never sent back
+    credentials.hasPrivateKey = !!privateKey;
     // Mask the secret if locked
     if (credentials.isLocked) {
         res.json({
             apiKey: credentials.apiKey,
             apiSecret: '••••••••',
             isLocked: true,
-            source: credentials.source
+            source: credentials.source,
+            applicationId: credentials.applicationId || null,
+            hasPrivateKey: credentials.hasPrivateKey,
+            applicationSource: credentials.applicationSource
         });
     } else {
         res.json(credentials);
@@ -321,7 +958,7 @@ app.get('/api/credentials', (req, res) => {
 });
 
 // Save and lock credentials
-app.post('/api/credentials', (req, res) => {
+app.post('/api/credentials', requireScope('admin'), async (req, res) => {
     // If using environment variables, don't allow changing
     if (ENV_API_KEY && ENV_API_SECRET) {
         return res.status(400).json({ error: 'Credentials are set via environment variables and cannot be changed' });
@@ -329,16 +966,41 @@ app.post('/api/credentials', (req, res) => {
     
     const { apiKey, apiSecret } = req.body;
     const credentials = {
+        ...readJSON("credentials"),
         apiKey,
         apiSecret,
         isLocked: true
     };
-    writeJSON("credentials", credentials);
+    if (!await writeData('credentials', credentials)) {
+        return sendStorageError(res);
+    }
     res.json({ success: true });
 });
 
+// Save the Messages API application (ID and private key)
+app.put('/api/credentials/application', requireScope('admin'), async (req, res) => {
+    if (ENV_APPLICATION_ID && ENV_PRIVATE_KEY) {
+        return res.status(400).json({ error: 'The application is set via environment variables and cannot be changed' });
+    }
+    
+    const stored = readJSON("credentials");
+    const applicationId = req.body.applicationId;
+    // Leaving the key out keeps the saved one, so the ID can be changed alone
+    const privateKey = req.body.privateKey ? messagesApi.normalizePrivateKey(req.body.privateKey) : stored.privateKey;
+    const validationError = messagesApi.validateApplication({ applicationId, privateKey });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    if (!await writeData('credentials', { ...stored, applicationId, privateKey })) {
+        return sendStorageError(res);
+    }
+    addLog(`Messages API application set to ${applicationId}`);
+    res.json({ success: true, applicationId });
+});
+
 // Unlock credentials for editing
-app.post('/api/credentials/unlock', (req, res) => {
+app.post('/api/credentials/unlock', requireScope('admin'), async (req, res) => {
     // If using environment variables, don't allow unlocking
     if (ENV_API_KEY && ENV_API_SECRET) {
         return res.status(400).json({ error: 'Credentials are set via environment variables and cannot be changed' });
@@ -346,7 +1008,9 @@ app.post('/api/credentials/unlock', (req, res) => {
     
     const credentials = readJSON("credentials");
     credentials.isLocked = false;
-    writeJSON("credentials", credentials);
+    if (!await writeData('credentials', credentials)) {
+        return sendStorageError(res);
+    }
     res.json({ 
         success: true,
         apiKey: credentials.apiKey,
@@ -355,39 +1019,171 @@ app.post('/api/credentials/unlock', (req, res) => {
 });
 
 // Get all opt-out configs
-app.get('/api/config', (req, res) => {
+app.get('/api/config', requireScope('admin'), (req, res) => {
     const config = readJSON("config");
     res.json(config);
 });
 
 // Save all opt-out configs
-app.post('/api/config', (req, res) => {
+app.post('/api/config', requireScope('admin'), async (req, res) => {
     const config = req.body;
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     res.json({ success: true });
 });
 
+// Global settings
+app.get('/api/settings', requireScope('admin'), (req, res) => {
+    const config = readJSON("config");
+    res.json({
+        defaultCountry: config.defaultCountry || null,
+        envDefaultCountry: ENV_DEFAULT_COUNTRY,
+        bulkConcurrency: config.bulkConcurrency || null,
+        bulkRatePerSecond: config.bulkRatePerSecond || null,
+        bulk: getBulkSettings(),
+        idempotencyWindowHours: config.idempotencyWindowHours || null,
+        idempotencyWindowDefault: ENV_IDEMPOTENCY_WINDOW_HOURS,
+        sendWindow: config.sendWindow || null,
+        maxSegments: config.maxSegments || null,
+        maxSegmentsDefault: ENV_MAX_SEGMENTS,
+        priceTable: config.priceTable || null,
+        optoutFooter: config.optoutFooter || null,
+        sandboxMode: isSandboxMode(),
+        envSandboxMode: ENV_SANDBOX_MODE
+    });
+});
+
+app.put('/api/settings', requireScope('admin'), async (req, res) => {
+    const config = readJSON("config");
+    const { defaultCountry, bulkConcurrency, bulkRatePerSecond, idempotencyWindowHours, sendWindow, maxSegments, priceTable, sandboxMode } = req.body;
+    const footerPolicy = req.body.optoutFooter;
+    
+    const settingsError = validateCountry(defaultCountry) ||
+        validateThroughput({ concurrency: bulkConcurrency, ratePerSecond: bulkRatePerSecond }) ||
+        validateIdempotencyWindow(idempotencyWindowHours) || sendWindows.validateSendWindow(sendWindow) ||
+        validateMaxSegments(maxSegments) || messageAnalysis.validatePriceTable(priceTable) ||
+        optoutFooter.validateFooterPolicy(footerPolicy) || validateSandboxMode(sandboxMode);
+    if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+    }
+    
+    if (defaultCountry !== undefined) config.defaultCountry = phone.normalizeCountry(defaultCountry);
+    // null clears a bulk setting back to the environment default
+    if (bulkConcurrency !== undefined) config.bulkConcurrency = bulkConcurrency;
+    if (bulkRatePerSecond !== undefined) config.bulkRatePerSecond = bulkRatePerSecond;
+    if (idempotencyWindowHours !== undefined) config.idempotencyWindowHours = idempotencyWindowHours;
+    if (sendWindow !== undefined) config.sendWindow = pickSendWindow(sendWindow);
+    if (maxSegments !== undefined) config.maxSegments = maxSegments;
+    if (footerPolicy !== undefined) config.optoutFooter = optoutFooter.pickFooterPolicy(footerPolicy);
+    // null goes back to SANDBOX_MODE
+    if (sandboxMode !== undefined) config.sandboxMode = sandboxMode;
+    if (priceTable !== undefined) {
+        config.priceTable = priceTable && {
+            currency: priceTable.currency,
+            default: typeof priceTable.default === 'number' ? priceTable.default : null,
+            countries: priceTable.countries || {}
+        };
+    }
+    
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
+    
+    const bulk = getBulkSettings();
+    if (defaultCountry !== undefined) {
+        addLog(`Default country set to ${config.defaultCountry || 'none'}`);
+    }
+    if (bulkConcurrency !== undefined || bulkRatePerSecond !== undefined) {
+        addLog(`Bulk sending set to ${bulk.concurrency} at a time, ${bulk.ratePerSecond} messages per second`);
+    }
+    if (idempotencyWindowHours !== undefined) {
+        addLog(`Idempotency window set to ${getIdempotencyWindowHours()} hours`);
+    }
+    if (sendWindow !== undefined) {
+        addLog(config.sendWindow
+            ? `Default send window set to ${config.sendWindow.start}-${config.sendWindow.end} (${config.sendWindow.action})`
+            : 'Default send window cleared');
+    }
+    if (maxSegments !== undefined) {
+        addLog(getMaxSegments() ? `Messages limited to ${getMaxSegments()} SMS parts` : 'SMS part limit removed');
+    }
+    if (priceTable !== undefined) {
+        addLog(config.priceTable ? `Price table set (${config.priceTable.currency})` : 'Price table cleared');
+    }
+    if (footerPolicy !== undefined) {
+        addLog(config.optoutFooter
+            ? `Default opt-out footer set to "${config.optoutFooter.text}" (${config.optoutFooter.defaultCategory} by default)`
+            : 'Default opt-out footer removed');
+    }
+    if (sandboxMode !== undefined) {
+        addLog(isSandboxMode() ? 'Sandbox mode on: sends are recorded but not sent to Vonage' : 'Sandbox mode off', 'warn');
+    }
+    res.json({
+        success: true,
+        defaultCountry: config.defaultCountry || null,
+        bulk,
+        idempotencyWindowHours: getIdempotencyWindowHours(),
+        sendWindow: config.sendWindow || null,
+        maxSegments: getMaxSegments() || null,
+        priceTable: config.priceTable || null,
+        optoutFooter: config.optoutFooter || null,
+        sandboxMode: isSandboxMode()
+    });
+});
+
+// Re-normalize stored numbers to E.164 (dryRun previews the report)
+app.post('/api/maintenance/normalize-numbers', requireScope('admin'), async (req, res) => {
+    const report = await renormalizeStoredNumbers({ dryRun: !!req.body.dryRun });
+    if (!report) {
+        return sendStorageError(res);
+    }
+    res.json({ success: true, report });
+});
+
 // Add new opt-out config
-app.post('/api/config/add', (req, res) => {
+app.post('/api/config/add', requireScope('admin'), async (req, res) => {
+    const countryError = validateCountry(req.body.defaultCountry);
+    if (countryError) {
+        return res.status(400).json({ error: countryError });
+    }
+    
     const config = readJSON("config");
     const newConfig = {
         id: Date.now().toString(),
         optoutNumber: req.body.optoutNumber || '',
         optoutPhrase: req.body.optoutPhrase || 'STOP',
-        optinPhrase: req.body.optinPhrase || 'START'
+        optinPhrase: req.body.optinPhrase || 'START',
+        defaultCountry: phone.normalizeCountry(req.body.defaultCountry)
     };
     config.optoutConfigs.push(newConfig);
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     res.json({ success: true, config: newConfig });
 });
 
 // Update specific opt-out config
-app.put('/api/config/:id', (req, res) => {
+app.put('/api/config/:id', requireScope('admin'), async (req, res) => {
     const config = readJSON("config");
     const index = config.optoutConfigs.findIndex(c => c.id === req.params.id);
     if (index > -1) {
-        config.optoutConfigs[index] = { ...config.optoutConfigs[index], ...req.body };
-        writeJSON("config", config);
+        // The body can't move the config to another id
+        const updated = { ...config.optoutConfigs[index], ...req.body, id: config.optoutConfigs[index].id };
+        const validationError = validateSignatureSettings(updated) || validateCountry(updated.defaultCountry) ||
+            validateAutoReplySettings(updated) || keywords.validateKeywordSettings(updated) || validateScopeSettings(updated) ||
+            sendWindows.validateSendWindow(updated.sendWindow) || optoutFooter.validateFooterPolicy(updated.optoutFooter) ||
+            validateDoubleOptInSettings(updated) || messagesApi.validateChannelList(updated.optoutChannels, 'optoutChannels');
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        updated.defaultCountry = phone.normalizeCountry(updated.defaultCountry);
+        updated.sendWindow = pickSendWindow(updated.sendWindow);
+        updated.optoutFooter = optoutFooter.pickFooterPolicy(updated.optoutFooter);
+        config.optoutConfigs[index] = { ...updated, ...pickDoubleOptIn(updated) };
+        if (!await writeData('config', config)) {
+            return sendStorageError(res);
+        }
         res.json({ success: true });
     } else {
         res.status(404).json({ error: 'Config not found' });
@@ -395,15 +1191,17 @@ app.put('/api/config/:id', (req, res) => {
 });
 
 // Delete specific opt-out config
-app.delete('/api/config/:id', (req, res) => {
+app.delete('/api/config/:id', requireScope('admin'), async (req, res) => {
     const config = readJSON("config");
     config.optoutConfigs = config.optoutConfigs.filter(c => c.id !== req.params.id);
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     res.json({ success: true });
 });
 
 // Get numbers from Vonage account (includes custom senders)
-app.get('/api/numbers', async (req, res) => {
+app.get('/api/numbers', requireScope('admin'), async (req, res) => {
     const credentials = getActiveCredentials();
     const config = readJSON("config");
     const customSenders = config.customSenders || [];
@@ -419,10 +1217,10 @@ app.get('/api/numbers', async (req, res) => {
         }));
         return res.json(senderNumbers);
     }
-
+    
     try {
         const response = await fetch(
-            `https://rest.nexmo.com/account/numbers?api_key=${credentials.apiKey}&api_secret=${credentials.apiSecret}`,
+            `${VONAGE_REST_URL}/account/numbers?api_key=${credentials.apiKey}&api_secret=${credentials.apiSecret}`,
             { method: 'GET' }
         );
         const data = await response.json();
@@ -446,13 +1244,13 @@ app.get('/api/numbers', async (req, res) => {
 // ========== CUSTOM SENDERS API ==========
 
 // Get all custom senders
-app.get('/api/senders', (req, res) => {
+app.get('/api/senders', requireScope('admin'), (req, res) => {
     const config = readJSON("config");
     res.json(config.customSenders || []);
 });
 
 // Add custom sender
-app.post('/api/senders', (req, res) => {
+app.post('/api/senders', requireScope('admin'), async (req, res) => {
     const { senderId, description } = req.body;
     
     if (!senderId) {
@@ -484,7 +1282,9 @@ app.post('/api/senders', (req, res) => {
     };
     
     config.customSenders.push(newSender);
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Custom sender added: ${senderId}`);
     
@@ -492,7 +1292,7 @@ app.post('/api/senders', (req, res) => {
 });
 
 // Delete custom sender
-app.delete('/api/senders/:id', (req, res) => {
+app.delete('/api/senders/:id', requireScope('admin'), async (req, res) => {
     const { id } = req.params;
     const config = readJSON("config");
     
@@ -507,7 +1307,9 @@ app.delete('/api/senders/:id', (req, res) => {
         return res.status(404).json({ error: 'Sender not found' });
     }
     
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Custom sender deleted: ${id}`);
     
@@ -515,7 +1317,7 @@ app.delete('/api/senders/:id', (req, res) => {
 });
 
 // Bulk add custom senders
-app.post('/api/senders/bulk', (req, res) => {
+app.post('/api/senders/bulk', requireScope('admin'), async (req, res) => {
     const { senders } = req.body;
     
     if (!senders || !Array.isArray(senders) || senders.length === 0) {
@@ -558,7 +1360,9 @@ app.post('/api/senders/bulk', (req, res) => {
         results.added.push(senderId);
     }
     
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Bulk senders added: ${results.added.length} success, ${results.failed.length} failed`);
     
@@ -573,167 +1377,411 @@ app.post('/api/senders/bulk', (req, res) => {
     });
 });
 
+// ========== LISTS / BRANDS API ==========
+// A list groups sender numbers and custom sender IDs that share opt-outs
+
+function validateList(body) {
+    if (!body.name || typeof body.name !== 'string') return 'name is required';
+    if (body.senders !== undefined && (!Array.isArray(body.senders) || body.senders.some(s => typeof s !== 'string' || !s.trim()))) {
+        return 'senders must be an array of sender numbers or IDs';
+    }
+    return sendWindows.validateSendWindow(body.sendWindow) || optoutFooter.validateFooterPolicy(body.optoutFooter);
+}
+
+// Get all lists
+app.get('/api/lists', requireScope('admin'), (req, res) => {
+    const config = readJSON("config");
+    res.json(config.lists || []);
+});
+
+// Add list
+app.post('/api/lists', requireScope('admin'), async (req, res) => {
+    const validationError = validateList(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const config = readJSON("config");
+    if (!config.lists) {
+        config.lists = [];
+    }
+    
+    const newList = {
+        id: Date.now().toString(),
+        name: req.body.name.trim(),
+        senders: (req.body.senders || []).map(s => s.trim()),
+        sendWindow: pickSendWindow(req.body.sendWindow),
+        optoutFooter: optoutFooter.pickFooterPolicy(req.body.optoutFooter),
+        createdAt: new Date().toISOString()
+    };
+    
+    config.lists.push(newList);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`List added: ${newList.name}`);
+    
+    res.json({ success: true, list: newList });
+});
+
+// Update list
+app.put('/api/lists/:id', requireScope('admin'), async (req, res) => {
+    const config = readJSON("config");
+    const list = (config.lists || []).find(l => l.id === req.params.id);
+    
+    if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    
+    const validationError = validateList({ name: list.name, ...req.body });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    if (req.body.name) list.name = req.body.name.trim();
+    if (req.body.senders) list.senders = req.body.senders.map(s => s.trim());
+    if (req.body.sendWindow !== undefined) list.sendWindow = pickSendWindow(req.body.sendWindow);
+    if (req.body.optoutFooter !== undefined) list.optoutFooter = optoutFooter.pickFooterPolicy(req.body.optoutFooter);
+    
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`List updated: ${list.name}`);
+    
+    res.json({ success: true, list });
+});
+
+// Delete list - opt-outs recorded under it stop applying to any sender
+app.delete('/api/lists/:id', requireScope('admin'), async (req, res) => {
+    const { id } = req.params;
+    const config = readJSON("config");
+    
+    if (!(config.lists || []).some(l => l.id === id)) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    
+    if (config.optoutConfigs.some(c => c.optoutScope === 'list' && c.listId === id)) {
+        return res.status(400).json({ error: 'List is used by an opt-out configuration' });
+    }
+    
+    config.lists = config.lists.filter(l => l.id !== id);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`List deleted: ${id}`);
+    
+    res.json({ success: true });
+});
+
 // Check if a number is blocked
-app.get('/api/check/:number', (req, res) => {
-    const number = normalizeNumber(req.params.number);
-    const optouts = readJSON("optouts");
+app.get('/api/check/:number', requireScope('optout:read'), (req, res) => {
+    const number = parseNumber(req.params.number);
+    if (!number) {
+        return res.status(400).json({ error: 'Invalid phone number', number: req.params.number });
+    }
     
-    const blocked = optouts.some(o => {
-        const optoutNumber = normalizeNumber(typeof o === 'string' ? o : o.number);
-        return optoutNumber === number;
-    });
+    const channelError = messagesApi.validateChannel(req.query.channel);
+    if (channelError) {
+        return res.status(400).json({ error: channelError });
+    }
+    
+    // With ?from= only the scopes covering that sender count, otherwise any opt-out does;
+    // likewise ?channel= only counts opt-outs blocking that channel
+    const scopes = req.query.from ? getScopesForSender(req.query.from) : undefined;
+    const blocked = optoutStore.has(number, scopes, req.query.channel);
     
-    res.json({ number, blocked });
+    res.json({ number, blocked, scopes: optoutStore.entries(number).map(scopeOf) });
 });
 
 // Send SMS with blocklist checking
-app.post('/api/send', async (req, res) => {
+app.post('/api/send', requireScope('send'), idempotent('send'), async (req, res) => {
     const credentials = getActiveCredentials();
+    // SMS goes through the SMS API; other channels through the Messages API
+    const { to, from, text, category, channel = 'sms', imageUrl } = req.body;
     
-    if (!credentials.apiKey || !credentials.apiSecret) {
-        return res.status(400).json({ error: 'API credentials not configured' });
+    const channelError = messagesApi.validateChannel(channel);
+    if (channelError) {
+        return res.status(400).json({ error: channelError });
+    }
+    const missingCredentials = credentialsError(credentials, channel);
+    if (missingCredentials) {
+        return res.status(400).json({ error: missingCredentials });
     }
     
-    const { to, from, text } = req.body;
-    
-    if (!to || !from || !text) {
+    if (!to || !from || !(text || imageUrl)) {
         return res.status(400).json({ error: 'Missing required fields: to, from, text' });
     }
     
-    // Clean the "to" number
-    const cleanTo = normalizeNumber(to);
+    const categoryError = optoutFooter.validateCategory(category) || messagesApi.validateOutbound({ channel, text, imageUrl });
+    if (categoryError) {
+        return res.status(400).json({ error: categoryError });
+    }
+    
+    // Clean the "to" number, reading national formats in the sender's country
+    const cleanTo = parseNumber(to, getDefaultCountry(findConfigForNumber(from)));
+    if (!cleanTo) {
+        return res.status(400).json({ error: 'Invalid phone number', to });
+    }
     
-    // Check if number is blocked
-    const optouts = readJSON("optouts");
-    const blocked = optouts.some(o => {
-        const optoutNumber = normalizeNumber(typeof o === 'string' ? o : o.number);
-        return optoutNumber === cleanTo;
-    });
+    // Check if number is blocked for this sender on this channel
+    const blockedBy = optoutStore.get(cleanTo, getScopesForSender(from), channel);
     
-    if (blocked) {
+    if (blockedBy) {
         return res.status(403).json({ 
             error: 'Number is opted out', 
             to: cleanTo,
             blocked: true,
+            scope: scopeOf(blockedBy),
+            channel: channel,
             status: 'rejected'
         });
     }
     
-    // Send via Vonage
-    try {
-        const response = await fetch('https://rest.nexmo.com/sms/json', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                api_key: credentials.apiKey,
-                api_secret: credentials.apiSecret,
-                to: cleanTo,
-                from: from.replace(/[^0-9]/g, ''),
-                text: text
-            })
+    const footer = addFooter(text || '', resolveFooter(from, category));
+    const footerFields = footerResponseFields(footer);
+    
+    // Only SMS is split into parts
+    const tooLong = channel === 'sms' && checkSegmentLimit(footer.text);
+    if (tooLong) {
+        return res.status(400).json({
+            error: `Message is ${tooLong.segments} SMS parts; the limit is ${tooLong.maxSegments}`,
+            to: cleanTo,
+            status: 'too-many-segments',
+            ...tooLong,
+            ...footerFields
         });
-        
-        const data = await response.json();
-        
-        if (data.messages && data.messages[0]) {
-            const msg = data.messages[0];
-            if (msg.status === '0') {
-                res.json({
-                    success: true,
-                    to: cleanTo,
-                    messageId: msg['message-id'],
-                    status: 'sent'
-                });
-            } else {
-                res.status(400).json({
-                    error: msg['error-text'],
-                    to: cleanTo,
-                    status: 'failed',
-                    errorCode: msg.status
-                });
-            }
-        } else {
-            res.status(500).json({ error: 'Unexpected response from Vonage', data });
+    }
+    
+    // RCS senders are agent IDs rather than numbers
+    const sender = channel === 'rcs' && /[a-z]/i.test(from) ? from : from.replace(/[^0-9]/g, '');
+    const message = { to: cleanTo, from: sender, text: footer.text, ...channelFields({ channel, imageUrl }) };
+    
+    // Outside the recipient's send window: hold the message or refuse it
+    const closed = checkSendWindow(from, cleanTo);
+    if (closed && closed.action === 'defer') {
+        const entry = deferMessage(message, closed.sendAt, { source: 'api' });
+        if (!await saveDeferred()) {
+            return sendStorageError(res);
         }
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+        addLog(`Deferred ${channelLabel(channel)} to ${cleanTo} until ${closed.sendAt} (send window ${closed.window.start}-${closed.window.end})`);
+        return res.status(202).json({
+            success: true,
+            to: cleanTo,
+            status: 'deferred',
+            deferredId: entry.id,
+            sendAt: entry.sendAt,
+            ...footerFields
+        });
+    }
+    if (closed) {
+        return res.status(403).json({
+            error: 'Outside the send window',
+            to: cleanTo,
+            status: 'outside-window',
+            sendWindow: closed.window,
+            timezones: closed.timezones,
+            nextWindowAt: closed.sendAt
+        });
+    }
+    
+    // Send via Vonage, retrying transient failures
+    const { msg, error, attempts, exhausted, deadLetter } = await sendWithRetry(credentials, message, { source: 'api' });
+    
+    if (exhausted && !deadLetter) {
+        return sendStorageError(res);
+    }
+    if (deadLetter) {
+        return res.status(503).json({
+            error: msg ? msg['error-text'] : error.message,
+            to: cleanTo,
+            status: 'dead-lettered',
+            errorCode: msg ? msg.status : undefined,
+            attempts: attempts,
+            deadLetterId: deadLetter.id
+        });
+    }
+    
+    if (!msg) {
+        return res.status(500).json({ error: error.message });
+    }
+    
+    if (msg.status === '0') {
+        res.json({
+            success: true,
+            to: cleanTo,
+            messageId: msg['message-id'],
+            status: 'sent',
+            ...footerFields
+        });
+    } else {
+        res.status(400).json({
+            error: msg['error-text'],
+            to: cleanTo,
+            status: 'failed',
+            errorCode: msg.status
+        });
     }
 });
 
-// SDK-compatible endpoint at /sms/json
-// This allows the Vonage Java SDK to work with just a base URL change
-// Accepts the same format as https://rest.nexmo.com/sms/json
-// Returns responses in Vonage API format so SDK can parse them
-app.post('/sms/json', async (req, res) => {
+// /sms/json and /sms/xml take their parameters from the query string or the
+// body (form-encoded or JSON) as Vonage does. Handlers answer with the JSON
+// response; /sms/xml renders it as XML on the way out.
+function smsApiFormat(req, res, next) {
+    req.body = { ...req.query, ...req.body };
+    if (req.path.endsWith('/xml')) {
+        res.json = data => res.type('text/xml').send(smsApi.toXml(data));
+    }
+    next();
+}
+
+// Single-message response in Vonage format, for errors and our own statuses
+function sendSmsApiResult(res, message) {
+    res.json({
+        'message-count': '1',
+        messages: [message]
+    });
+}
+
+// /sms/json authentication, answered in Vonage format. As with Vonage, the API
+// secret can be replaced by a `sig` of the other parameters and a `timestamp`,
+// made with the account's signature secret (the sending number's config
+// settings, or VONAGE_SIGNATURE_SECRET / VONAGE_SIGNATURE_METHOD).
+function requireSmsJsonAuth(req, res, next) {
     // Support both request credentials and configured credentials
     const configuredCreds = getActiveCredentials();
-    const { api_key, api_secret, to, from, text } = req.body;
+    const { api_key, api_secret, sig } = req.body;
+    
+    if (api_secret && sig) {
+        return sendSmsApiResult(res, { status: '32', 'error-text': 'Signature and API secret disallowed' });
+    }
+    
+    if (sig) {
+        const settings = getSignatureSettings(findConfigForNumber(req.body.from));
+        const signatureError = !settings || settings.method === 'jwt'
+            ? 'no signature secret configured'
+            : !safeEqual(api_key || '', configuredCreds.apiKey || '') ? 'unknown api_key' : verifySignedParams(req.body, settings);
+        if (signatureError) {
+            addLog(`Rejected signed /sms/json request from ${req.ip}: ${signatureError}`, 'warn');
+            return sendSmsApiResult(res, { status: '14', 'error-text': 'Invalid Signature' });
+        }
+    }
     
     // Use request credentials if provided, otherwise fall back to configured
     const credentials = {
         apiKey: api_key || configuredCreds.apiKey,
-        apiSecret: api_secret || configuredCreds.apiSecret
+        apiSecret: sig ? configuredCreds.apiSecret : api_secret || configuredCreds.apiSecret
     };
     
     if (!credentials.apiKey || !credentials.apiSecret) {
         // Return in Vonage error format
-        return res.json({
-            'message-count': '1',
-            messages: [{
-                status: '2',
-                'error-text': 'Missing API credentials'
-            }]
-        });
+        return sendSmsApiResult(res, { status: '2', 'error-text': 'Missing API credentials' });
     }
     
-    if (!to || !from || !text) {
-        return res.json({
-            'message-count': '1',
-            messages: [{
-                status: '2',
-                'error-text': 'Missing required fields: to, from, text'
-            }]
-        });
+    // SDK clients authenticate with the configured Vonage credentials (or a
+    // signature made with them); anything else needs an API key with the send scope
+    const principal = authenticateRequest(req);
+    const hasConfiguredCreds = !!sig || (!!api_key && !!api_secret &&
+        safeEqual(api_key, configuredCreds.apiKey || '') && safeEqual(api_secret, configuredCreds.apiSecret || ''));
+    if (!hasConfiguredCreds && !(principal && hasScope(principal, 'send'))) {
+        addLog(`Rejected /sms/json request with invalid credentials from ${req.ip}`, 'warn');
+        return sendSmsApiResult(res, { status: '4', 'error-text': 'Invalid credentials' });
     }
     
-    // Clean the "to" number
-    const cleanTo = normalizeNumber(to);
+    req.principal = hasConfiguredCreds ? { type: 'vonage', apiKey: api_key, scopes: ['send'] } : principal;
+    req.smsCredentials = credentials;
+    next();
+}
+
+// Idempotency conflicts in Vonage format: "throttled" makes SDK clients retry
+// an in-flight request later, when its response can be replayed
+function sendSmsJsonIdempotencyError(res, status, error) {
+    sendSmsApiResult(res, { status: status === 409 ? '1' : '2', 'error-text': error });
+}
+
+// SDK-compatible endpoints at /sms/json and /sms/xml
+// This allows the Vonage Java SDK to work with just a base URL change
+// Accepts the same requests as https://rest.nexmo.com/sms/json (GET or POST,
+// every SMS API parameter) and returns responses in Vonage API format so SDKs
+// can parse them
+async function handleSmsApiSend(req, res) {
+    const credentials = req.smsCredentials;
+    const params = req.body;
+    const { to, from, category } = params;
     
-    // Check if number is blocked
-    const optouts = readJSON("optouts");
-    const blocked = optouts.some(o => {
-        const optoutNumber = normalizeNumber(typeof o === 'string' ? o : o.number);
-        return optoutNumber === cleanTo;
-    });
+    const invalid = smsApi.validateParams(params);
+    if (invalid) {
+        return sendSmsApiResult(res, invalid);
+    }
+    
+    // `category` (marketing or transactional) is our addition to the Vonage parameters
+    if (optoutFooter.validateCategory(category)) {
+        return sendSmsApiResult(res, { status: '3', 'error-text': 'Invalid value for parameter: category' });
+    }
+    
+    // Clean the "to" number, reading national formats in the sender's country
+    const cleanTo = parseNumber(to, getDefaultCountry(findConfigForNumber(from)));
+    if (!cleanTo) {
+        return sendSmsApiResult(res, { to: to, status: '3', 'error-text': 'Invalid value for parameter: to' });
+    }
+    
+    // Check if number is blocked for this sender
+    const blockedBy = optoutStore.get(cleanTo, getScopesForSender(from));
     
-    if (blocked) {
-        addLog(`Blocked SMS to ${cleanTo} - number is opted out`, 'warn');
+    if (blockedBy) {
+        addLog(`Blocked SMS to ${cleanTo} - number is opted out (${scopeOf(blockedBy)})`, 'warn');
         // Return in Vonage error format with custom status code 99 for opt-out
-        return res.json({
-            'message-count': '1',
-            messages: [{
+        return sendSmsApiResult(res, { to: cleanTo, status: '99', 'error-text': 'Number is opted out' });
+    }
+    
+    // Footers and the part limit apply to plain text; binary, WAP push and
+    // vCard/vCal messages are sent as they are
+    let text = params.text;
+    if (smsApi.isTextMessage(params)) {
+        const footer = addFooter(params.text, resolveFooter(from, category));
+        text = footer.text;
+        const footerWarning = optoutFooter.footerWarning(footer);
+        if (footerWarning) {
+            addLog(`${footerWarning} (to ${cleanTo} via /sms/json)`, 'warn');
+        }
+        
+        const tooLong = checkSegmentLimit(text);
+        if (tooLong) {
+            return sendSmsApiResult(res, {
                 to: cleanTo,
-                status: '99',
-                'error-text': 'Number is opted out'
-            }]
-        });
+                status: '3',
+                'error-text': `Invalid value for parameter: text (${tooLong.segments} parts, the limit is ${tooLong.maxSegments})`
+            });
+        }
+    }
+    
+    // Every other SMS API parameter (type, client-ref, callback, udh...) goes along as it came
+    const message = { to: cleanTo, from: from, text: text, smsParams: smsApi.pickOptionalParams(params) };
+    
+    // Outside the send window: deferred messages are accepted under their deferred id,
+    // refused ones get custom status 98
+    const closed = checkSendWindow(from, cleanTo);
+    if (closed && closed.action === 'defer') {
+        const entry = deferMessage(message, closed.sendAt, { source: 'sms-json' });
+        if (!await saveDeferred()) {
+            return sendSmsApiResult(res, { to: cleanTo, status: '5', 'error-text': 'Failed to save deferred message' });
+        }
+        addLog(`Deferred SMS to ${cleanTo} via /sms/json until ${closed.sendAt}`);
+        return sendSmsApiResult(res, { to: cleanTo, 'message-id': entry.id, status: '0', 'send-at': entry.sendAt });
+    }
+    if (closed) {
+        addLog(`Refused SMS to ${cleanTo} - outside the send window`, 'warn');
+        return sendSmsApiResult(res, { to: cleanTo, status: '98', 'error-text': 'Outside send window' });
     }
     
     // Send via Vonage - forward to real API
     try {
-        const response = await fetch('https://rest.nexmo.com/sms/json', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                api_key: credentials.apiKey,
-                api_secret: credentials.apiSecret,
-                to: cleanTo,
-                from: from,
-                text: text
-            })
-        });
+        const response = await postSms(credentials, message);
         
         const data = await response.json();
+        recordSubmission(data, { from, text: text || params.body || '', source: 'sms-json' });
         
         // Log the send attempt
         if (data.messages && data.messages[0]) {
@@ -749,129 +1797,2390 @@ app.post('/sms/json', async (req, res) => {
         res.json(data);
     } catch (error) {
         addLog(`SMS error: ${error.message}`, 'error');
-        res.json({
-            'message-count': '1',
-            messages: [{
-                status: '5',
-                'error-text': error.message
-            }]
+        sendSmsApiResult(res, { status: '5', 'error-text': error.message });
+    }
+}
+
+const smsApiHandlers = [
+    smsApiFormat,
+    requireSmsJsonAuth,
+    idempotent('sms-json', {
+        fallbackKey: req => req.body['client-ref'],
+        sendError: sendSmsJsonIdempotencyError
+    }),
+    handleSmsApiSend
+];
+app.get(['/sms/json', '/sms/xml'], ...smsApiHandlers);
+app.post(['/sms/json', '/sms/xml'], ...smsApiHandlers);
+
+// /v1/messages authentication. SDK clients authenticate as they would with
+// Vonage: a JWT signed by the configured application, or Basic auth with the
+// configured API key and secret. An API key with the send scope works too.
+function requireMessagesAuth(req, res, next) {
+    const configured = getActiveCredentials();
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    
+    let principal = null;
+    if (header.startsWith('Basic ')) {
+        const [apiKey, apiSecret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+        if (configured.apiKey && configured.apiSecret &&
+            safeEqual(apiKey || '', configured.apiKey) && safeEqual(apiSecret || '', configured.apiSecret)) {
+            principal = { type: 'vonage', apiKey: apiKey, scopes: ['send'] };
+        }
+    } else if (bearer && bearer.split('.').length === 3) {
+        const jwtError = configured.applicationId && configured.privateKey
+            ? messagesApi.verifyJwt(bearer, configured, DEFAULT_SIGNATURE_MAX_AGE)
+            : 'Messages API application not configured';
+        if (!jwtError) {
+            principal = { type: 'vonage', applicationId: configured.applicationId, scopes: ['send'] };
+        } else {
+            addLog(`Rejected /v1/messages JWT from ${req.ip}: ${jwtError}`, 'warn');
+        }
+    } else {
+        const caller = authenticateRequest(req);
+        principal = caller && hasScope(caller, 'send') ? caller : null;
+    }
+    
+    if (!principal) {
+        addLog(`Rejected /v1/messages request with invalid credentials from ${req.ip}`, 'warn');
+        return sendProblem(res, 'unauthorized');
+    }
+    
+    // Vonage credentials are passed through as they came; our own API keys are
+    // swapped for the configured application (or API key and secret)
+    let authorization = header;
+    if (principal.type !== 'vonage') {
+        if (configured.applicationId && configured.privateKey) {
+            authorization = `Bearer ${messagesApi.createJwt(configured)}`;
+        } else if (configured.apiKey && configured.apiSecret) {
+            authorization = `Basic ${Buffer.from(`${configured.apiKey}:${configured.apiSecret}`).toString('base64')}`;
+        } else {
+            return sendProblem(res, 'unauthorized', { detail: 'Vonage credentials are not configured.' });
+        }
+    }
+    
+    req.principal = principal;
+    req.vonageAuthorization = authorization;
+    next();
+}
+
+function sendProblem(res, name, fields) {
+    const { status, body } = messagesApi.problem(name, fields);
+    res.status(status).type('application/problem+json').send(JSON.stringify(body));
+}
+
+// SDK-compatible endpoint at /v1/messages
+// Accepts the same requests as https://api.nexmo.com/v1/messages, checks the
+// recipient against the blocklist and forwards the request body unchanged, so
+// Messages API SDKs work with just a base URL change. Vonage's response is
+// relayed as it is; blocked recipients get a problem body instead.
+app.post('/v1/messages', requireMessagesAuth, async (req, res) => {
+    const { to, from, channel } = req.body;
+    
+    // Messenger recipients are page-scoped IDs rather than numbers, so there's
+    // nothing to check them against
+    let cleanTo = to;
+    if (channel !== 'messenger') {
+        cleanTo = parseNumber(to, getDefaultCountry(findConfigForNumber(from)));
+        if (!cleanTo) {
+            return sendProblem(res, 'invalidParams', {
+                invalid_parameters: [{ name: 'to', reason: 'Must be a valid phone number' }]
+            });
+        }
+        
+        const blockedBy = optoutStore.get(cleanTo, getScopesForSender(from), channel);
+        if (blockedBy) {
+            addLog(`Blocked ${channel} message to ${cleanTo} via /v1/messages - number is opted out (${scopeOf(blockedBy)})`, 'warn');
+            return sendProblem(res, 'optedOut', { to: cleanTo, channel: channel, scope: scopeOf(blockedBy) });
+        }
+    }
+    
+    // Reading the body and logging the message can fail too, after the request
+    // went out; the client gets a problem response rather than a hung request
+    let response;
+    let body;
+    try {
+        response = isSandboxMode() ? await sandboxMessageResponse({ channel, to: cleanTo, from }) : await fetch(`${VONAGE_API_URL}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                Authorization: req.vonageAuthorization
+            },
+            body: req.rawBody
+        });
+        
+        body = Buffer.from(await response.arrayBuffer());
+        if (response.status === 202) {
+            let data = {};
+            try {
+                data = JSON.parse(body.toString('utf8'));
+            } catch (e) {
+                // Relayed as it is; there's just nothing to log
+            }
+            if (data.message_uuid) {
+                const text = req.body.text || (req.body.image && req.body.image.caption) || '';
+                await recordChannelSubmission(data.message_uuid, { to: cleanTo, from, text, channel, source: 'messages-api' });
+            }
+            addLog(`${channel} message sent to ${cleanTo} via /v1/messages (SDK mode)`);
+        } else {
+            addLog(`${channel} message to ${cleanTo} failed via /v1/messages: HTTP ${response.status}`, 'error');
+        }
+    } catch (error) {
+        addLog(`Messages API error: ${error.message}`, 'error');
+        return sendProblem(res, 'internal');
+    }
+    
+    // Return the exact Vonage response - SDKs parse it. setHeader, unlike
+    // res.set, leaves the content type without an added charset.
+    res.setHeader('Content-Type', response.headers.get('content-type') || 'application/json');
+    res.status(response.status).send(body);
+});
+
+// Bulk send SMS with blocklist checking
+// Queue a bulk send as a background job (see BULK JOBS)
+app.post('/api/send/bulk', requireScope('send'), idempotent('send-bulk'), async (req, res) => {
+    const credentials = getActiveCredentials();
+    const { recipients, from, text, templateId, category, channel = 'sms', imageUrl } = req.body;
+    
+    const channelError = messagesApi.validateChannel(channel);
+    if (channelError) {
+        return res.status(400).json({ error: channelError });
+    }
+    const missingCredentials = credentialsError(credentials, channel);
+    if (missingCredentials) {
+        return res.status(400).json({ error: missingCredentials });
+    }
+    
+    if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
+        return res.status(400).json({ error: 'Missing or invalid recipients array' });
+    }
+    
+    if (!from || (!text && !templateId)) {
+        return res.status(400).json({ error: 'Missing required fields: from, text (or templateId)' });
+    }
+    
+    const template = templateId ? readJSON("templates").find(t => t.id === templateId) : null;
+    if (templateId && !template) {
+        return res.status(400).json({ error: 'Template not found', templateId });
+    }
+    
+    const categoryError = optoutFooter.validateCategory(category);
+    if (categoryError) {
+        return res.status(400).json({ error: categoryError });
+    }
+    
+    // Personalized texts are checked per recipient once rendered
+    const messageText = template ? template.text : text;
+    const outboundError = messagesApi.validateOutbound({ channel, text: messageText, imageUrl });
+    if (outboundError) {
+        return res.status(400).json({ error: outboundError });
+    }
+    const tooLong = channel === 'sms' && templates.placeholders(messageText).length === 0 &&
+        checkSegmentLimit(addFooter(messageText, resolveFooter(from, category)).text);
+    if (tooLong) {
+        return res.status(400).json({
+            error: `Message is ${tooLong.segments} SMS parts; the limit is ${tooLong.maxSegments}`,
+            status: 'too-many-segments',
+            ...tooLong
         });
     }
-});
+    
+    const throughputError = validateThroughput(req.body);
+    if (throughputError) {
+        return res.status(400).json({ error: throughputError });
+    }
+    
+    const job = createBulkJob({
+        recipients, from, text, template, category, channel, imageUrl,
+        concurrency: req.body.concurrency, ratePerSecond: req.body.ratePerSecond
+    });
+    if (!await startBulkJob(job)) {
+        return sendStorageError(res);
+    }
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        summary: job.summary,
+        missingVariables: job.recipients
+            .filter(r => r.reason === 'missing-variables')
+            .map(r => ({ to: r.to, missing: r.missing })),
+        warnings: job.warnings
+    });
+});
+
+// ========== BULK JOBS ==========
+// Bulk sends are persisted in the "jobs" data set and sent by lib/job-queue.
+// Throughput defaults come from settings (or BULK_CONCURRENCY /
+// BULK_RATE_PER_SECOND) and can be lowered or raised per job.
+
+const MAX_BULK_CONCURRENCY = 20;
+const MAX_BULK_RATE_PER_SECOND = 100;
+const MAX_FINISHED_JOBS = 50;
+
+const ENV_BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY, 10) || 2;
+const ENV_BULK_RATE_PER_SECOND = parseFloat(process.env.BULK_RATE_PER_SECOND) || 10;
+
+function getBulkSettings() {
+    const config = readJSON("config");
+    return {
+        concurrency: config.bulkConcurrency || ENV_BULK_CONCURRENCY,
+        ratePerSecond: config.bulkRatePerSecond || ENV_BULK_RATE_PER_SECOND
+    };
+}
+
+function validateThroughput({ concurrency, ratePerSecond }) {
+    if (concurrency !== undefined && concurrency !== null &&
+        !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= MAX_BULK_CONCURRENCY)) {
+        return `concurrency must be a whole number from 1 to ${MAX_BULK_CONCURRENCY}`;
+    }
+    if (ratePerSecond !== undefined && ratePerSecond !== null &&
+        !(typeof ratePerSecond === 'number' && ratePerSecond > 0 && ratePerSecond <= MAX_BULK_RATE_PER_SECOND)) {
+        return `ratePerSecond must be a number above 0 and at most ${MAX_BULK_RATE_PER_SECOND}`;
+    }
+    return null;
+}
+
+const isFinishedJob = job => job.status === 'completed' || job.status === 'cancelled';
+
+// Keep every unfinished job and the most recent finished ones
+function pruneFinishedJobs(jobs) {
+    const finished = jobs.filter(isFinishedJob);
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)));
+    return jobs.filter(job => !dropped.has(job));
+}
+
+function saveJobs() {
+    return writeData('jobs', readJSON("jobs"));
+}
+
+// Build a job for a bulk send. Recipients are numbers, or { to, variables }
+// objects when the text has placeholders. Recipients that are invalid, opted
+// out, missing variables or outside their send window are resolved now; the
+// rest are left pending for the job queue with their own rendered text.
+// Deferred recipients are added to the deferred set unsaved.
+function createBulkJob({
+    recipients, from, text, template = null, category = null, channel = 'sms', imageUrl = null,
+    concurrency, ratePerSecond, source = 'bulk', scheduleId = null
+}) {
+    const defaults = getBulkSettings();
+    const now = new Date().toISOString();
+    const messageTemplate = template || templates.adHocTemplate(text);
+    const personalized = templates.placeholders(messageTemplate.text).length > 0;
+    const footer = resolveFooter(from, category);
+    // Without placeholders every recipient gets the same text, footer included
+    const shared = personalized ? null : addFooter(messageTemplate.text, footer);
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        source: source,
+        scheduleId: scheduleId,
+        templateId: template ? template.id : null,
+        from: from,
+        text: shared ? shared.text : messageTemplate.text,
+        category: category,
+        ...channelFields({ channel, imageUrl }),
+        warnings: [shared && optoutFooter.footerWarning(shared)].filter(Boolean),
+        concurrency: concurrency || defaults.concurrency,
+        ratePerSecond: ratePerSecond || defaults.ratePerSecond,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null,
+        summary: { total: recipients.length, pending: 0, sent: 0, blocked: 0, failed: 0, rejected: 0, deferred: 0, cancelled: 0 },
+        recipients: []
+    };
+    
+    const country = getDefaultCountry(findConfigForNumber(from));
+    const scopes = getScopesForSender(from);
+    let longerWithFooter = 0;
+    
+    for (const recipient of recipients) {
+        const { to, variables } = recipient && typeof recipient === 'object' ? recipient : { to: recipient };
+        const cleanTo = parseNumber(to, country);
+        const blockedBy = cleanTo && optoutStore.get(cleanTo, scopes, channel);
+        let rendered = { text: job.text, missing: [] };
+        if (personalized) {
+            rendered = templates.renderTemplate(messageTemplate, variables);
+            if (rendered.text && cleanTo && !blockedBy) {
+                const withFooter = addFooter(rendered.text, footer);
+                if (optoutFooter.footerWarning(withFooter)) longerWithFooter++;
+                rendered.text = withFooter.text;
+            }
+        }
+        const tooLong = channel === 'sms' && cleanTo && !blockedBy && rendered.text && checkSegmentLimit(rendered.text);
+        const closed = cleanTo && !blockedBy && rendered.text && !tooLong && checkSendWindow(from, cleanTo);
+        // Only personalized recipients carry their own text
+        const ownText = personalized ? { text: rendered.text } : {};
+        
+        let entry;
+        if (!cleanTo) {
+            entry = { to: String(to), status: 'failed', error: 'Invalid number' };
+        } else if (blockedBy) {
+            entry = { to: cleanTo, status: 'blocked', reason: 'opted-out', scope: scopeOf(blockedBy) };
+        } else if (!rendered.text) {
+            entry = rendered.missing.length > 0
+                ? { to: cleanTo, status: 'failed', reason: 'missing-variables', missing: rendered.missing, error: `Missing variables: ${rendered.missing.join(', ')}` }
+                : { to: cleanTo, status: 'failed', error: 'Message is empty' };
+        } else if (tooLong) {
+            entry = { to: cleanTo, status: 'failed', reason: 'too-many-segments', error: `Message is ${tooLong.segments} SMS parts; the limit is ${tooLong.maxSegments}` };
+        } else if (closed && closed.action === 'defer') {
+            const message = { to: cleanTo, from: normalizeNumber(from), text: rendered.text, ...channelFields({ channel, imageUrl }) };
+            const deferred = deferMessage(message, closed.sendAt, { source, jobId: job.id });
+            entry = { to: cleanTo, status: 'deferred', deferredId: deferred.id, sendAt: deferred.sendAt, ...ownText };
+        } else if (closed) {
+            entry = { to: cleanTo, status: 'rejected', reason: 'outside-window', nextWindowAt: closed.sendAt };
+        } else {
+            entry = { to: cleanTo, status: 'pending', ...ownText };
+        }
+        job.recipients.push(entry);
+        job.summary[entry.status]++;
+    }
+    
+    if (longerWithFooter > 0) {
+        job.warnings.push(`The opt-out footer adds an SMS part for ${longerWithFooter} recipient${longerWithFooter === 1 ? '' : 's'}`);
+    }
+    if (job.summary.pending === 0) {
+        job.status = 'completed';
+        job.finishedAt = now;
+    }
+    return job;
+}
+
+// Persist a new job (and its deferred recipients) and queue it; false if it couldn't be saved
+async function startBulkJob(job) {
+    if (!await saveAll(writeData('jobs', pruneFinishedJobs([...readJSON("jobs"), job])), saveDeferred())) {
+        return false;
+    }
+    
+    if (job.status === 'queued') {
+        jobQueue.enqueue(job);
+    }
+    
+    const { summary } = job;
+    addLog(`Bulk job ${job.id} created from ${job.from}: ${summary.pending} to send, ${summary.blocked} blocked, ${summary.failed} failed` +
+        (summary.deferred || summary.rejected ? `, ${summary.deferred} deferred, ${summary.rejected} outside the send window` : ''));
+    return true;
+}
+
+// Job without its (possibly very long) recipient list
+function jobSummary(job) {
+    const { recipients, ...summary } = job;
+    return summary;
+}
+
+async function sendBulkRecipient(job, recipient) {
+    // Checked again at send time: the recipient may have opted out since the job was queued
+    const blockedBy = optoutStore.get(recipient.to, getScopesForSender(job.from), job.channel || 'sms');
+    if (blockedBy) {
+        Object.assign(recipient, { status: 'blocked', reason: 'opted-out', scope: scopeOf(blockedBy) });
+        return;
+    }
+    
+    const message = { to: recipient.to, from: normalizeNumber(job.from), text: recipient.text || job.text, ...channelFields(job) };
+    
+    // A long job can run past the end of the window
+    const closed = checkSendWindow(job.from, recipient.to);
+    if (closed && closed.action === 'defer') {
+        const deferred = deferMessage(message, closed.sendAt, { source: job.source || 'bulk', jobId: job.id });
+        if (!await saveDeferred()) {
+            // Failed rather than left to a deferred entry that a restart would lose
+            const entries = readJSON("deferred");
+            if (entries.includes(deferred)) entries.splice(entries.indexOf(deferred), 1);
+            throw new Error('Failed to save the deferred message');
+        }
+        Object.assign(recipient, { status: 'deferred', deferredId: deferred.id, sendAt: deferred.sendAt });
+        return;
+    }
+    if (closed) {
+        Object.assign(recipient, { status: 'rejected', reason: 'outside-window', nextWindowAt: closed.sendAt });
+        return;
+    }
+    
+    const credentials = getActiveCredentials();
+    const missingCredentials = credentialsError(credentials, job.channel);
+    if (missingCredentials) {
+        throw new Error(missingCredentials);
+    }
+    
+    const { msg, error, deadLetter } = await sendWithRetry(credentials, message, { source: job.source || 'bulk', jobId: job.id });
+    if (msg && msg.status === '0') {
+        Object.assign(recipient, { status: 'sent', messageId: msg['message-id'] });
+    } else if (msg) {
+        Object.assign(recipient, { status: 'failed', error: msg['error-text'], errorCode: msg.status });
+    } else {
+        Object.assign(recipient, { status: 'failed', error: error.message });
+    }
+    if (deadLetter) recipient.deadLetterId = deadLetter.id;
+}
+
+const jobQueue = createJobQueue({
+    processItem: sendBulkRecipient,
+    save: saveJobs,
+    log: addLog
+});
+
+// Pick up jobs that were queued or running when the server stopped
+function resumeJobs() {
+    const jobs = readJSON("jobs");
+    let resumed = 0;
+    
+    for (const job of jobs) {
+        if (job.status === 'cancelling') {
+            cancelPending(job);
+        } else if (job.status === 'queued' || job.status === 'running') {
+            jobQueue.enqueue(job);
+            resumed++;
+        }
+    }
+    
+    if (resumed > 0) {
+        addLog(`Resuming ${resumed} bulk job${resumed === 1 ? '' : 's'}`);
+    }
+    return saveJobs();
+}
+
+// Bulk jobs, newest first
+app.get('/api/jobs', requireScope('send'), (req, res) => {
+    const jobs = readJSON("jobs").map(jobSummary);
+    jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json(jobs);
+});
+
+// Job progress; ?recipients=true adds the per-recipient results
+app.get('/api/jobs/:id', requireScope('send'), (req, res) => {
+    const job = readJSON("jobs").find(j => j.id === req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(req.query.recipients === 'true' ? job : jobSummary(job));
+});
+
+app.post('/api/jobs/:id/cancel', requireScope('send'), async (req, res) => {
+    const job = readJSON("jobs").find(j => j.id === req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (!jobQueue.cancel(job)) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+    
+    if (!await saveJobs()) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Cancel requested for bulk job ${job.id}`);
+    res.json({ success: true, job: jobSummary(job) });
+});
+
+// ========== SANDBOX MODE ==========
+// With sandbox mode on (the setting, or SANDBOX_MODE=true), sends go through
+// every check as usual and are recorded in the message log marked `sandbox`,
+// but Vonage never sees them: they are answered here as Vonage would accept
+// them. Auto-replies, bulk jobs, schedules and the SDK endpoints included.
+
+const ENV_SANDBOX_MODE = process.env.SANDBOX_MODE === 'true';
+
+function isSandboxMode() {
+    const config = readJSON("config");
+    return typeof config.sandboxMode === 'boolean' ? config.sandboxMode : ENV_SANDBOX_MODE;
+}
+
+function validateSandboxMode(value) {
+    if (value === undefined || value === null || typeof value === 'boolean') return null;
+    return 'sandboxMode must be true, false or null';
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+// SMS API acceptance, with a message ID per SMS part
+async function sandboxSmsResponse({ to, from, text, smsParams }) {
+    const parts = smsApi.isTextMessage(smsParams || {}) ? Math.max(1, messageAnalysis.analyzeMessage(text || '').segments) : 1;
+    addLog(`[SANDBOX] SMS to ${to} from ${from} recorded, not sent (${parts} part${parts === 1 ? '' : 's'})`);
+    return jsonResponse(200, {
+        'message-count': String(parts),
+        messages: Array.from({ length: parts }, () => ({
+            to: to,
+            'message-id': crypto.randomBytes(8).toString('hex').toUpperCase(),
+            status: '0',
+            'remaining-balance': '0.00000000',
+            'message-price': '0.00000000'
+        }))
+    });
+}
+
+// Messages API acceptance
+async function sandboxMessageResponse({ channel, to, from }) {
+    addLog(`[SANDBOX] ${channelLabel(channel) || channel} to ${to} from ${from} recorded, not sent`);
+    return jsonResponse(202, { message_uuid: crypto.randomUUID() });
+}
+
+// ========== SENDING & DEAD LETTERS ==========
+// /api/send, bulk jobs and auto-replies send through sendWithRetry (policy in
+// lib/retry). Sends that still fail transiently after the last attempt are kept
+// in the "deadLetters" data set until they are requeued or discarded.
+
+const SEND_RETRY_POLICY = {
+    ...retry.DEFAULT_POLICY,
+    maxAttempts: parseInt(process.env.SEND_MAX_ATTEMPTS, 10) || retry.DEFAULT_POLICY.maxAttempts
+};
+
+// POST to the SMS API, form-encoded as the Vonage SDKs send it. `smsParams`
+// are optional SMS API parameters (type, client-ref, udh...) to pass along.
+function postSms(credentials, { to, from, text, smsParams }) {
+    const params = {
+        api_key: credentials.apiKey,
+        api_secret: credentials.apiSecret,
+        to: to,
+        from: from,
+        ...(text !== undefined && { text }),
+        ...smsParams
+    };
+    if (isSandboxMode()) {
+        return sandboxSmsResponse({ to, from, text, smsParams });
+    }
+    return fetch(`${VONAGE_REST_URL}/sms/json`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+    });
+}
+
+// Errors that must not be retried, e.g. because Vonage may already have sent the message
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+// Send one SMS through the Vonage SMS API and log it; resolves with the message result.
+// Errors are transient (network, 429, 5xx) unless marked permanent.
+async function sendVonageSms(credentials, message, source) {
+    const { from, smsParams } = message;
+    // Binary messages are logged by their body
+    const text = message.text !== undefined ? message.text : (smsParams && smsParams.body) || '';
+    const response = await postSms(credentials, message);
+    
+    if (!response.ok) {
+        const error = new Error(`Vonage responded with HTTP ${response.status}`);
+        error.permanent = response.status !== 429 && response.status < 500;
+        throw error;
+    }
+    
+    // Past this point Vonage has taken the request, so a retry could send it twice
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        throw permanentError(`Unreadable response from Vonage (HTTP ${response.status}): ${e.message}`);
+    }
+    const parts = data.messages || [];
+    if (parts.length === 0) {
+        throw permanentError('Unexpected response from Vonage');
+    }
+    try {
+        recordSubmission(data, { from, text, source });
+    } catch (e) {
+        addLog(`Failed to log SMS to ${message.to}: ${e.message}`, 'error');
+    }
+    
+    // A long message goes out as several parts with a status each. Only when
+    // none was accepted can the failure be retried.
+    const failed = parts.find(part => part.status !== '0');
+    if (!failed) return parts[0];
+    const accepted = parts.filter(part => part.status === '0').length;
+    if (accepted === 0) return failed;
+    throw permanentError(`Vonage accepted ${accepted} of ${parts.length} parts; ${failed['error-text'] || 'Error'} (status ${failed.status})`);
+}
+
+// Send one message through the Messages API (MMS, WhatsApp, RCS) and log it.
+// The result takes the SMS API's shape ({ status, message-id, error-text }) so
+// retries, dead letters and the routes handle both APIs alike: a rejection
+// comes back with the HTTP status as its status and the problem detail as text.
+async function sendVonageMessage(credentials, { to, from, text, channel, imageUrl }, source) {
+    const message = messagesApi.buildMessage({ channel, to, from, text, imageUrl });
+    // A missing or broken application can't be fixed by retrying
+    const invalidApplication = isSandboxMode() ? null : messagesApi.validateApplication(credentials);
+    if (invalidApplication) {
+        throw permanentError(`Messages API application is not configured: ${invalidApplication}`);
+    }
+    const response = isSandboxMode() ? await sandboxMessageResponse(message) : await fetch(`${VONAGE_API_URL}/v1/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${messagesApi.createJwt(credentials)}`
+        },
+        body: JSON.stringify(message)
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 429 || response.status >= 500) {
+        throw new Error(`Vonage responded with HTTP ${response.status}${data.title ? `: ${data.title}` : ''}`);
+    }
+    if (!response.ok) {
+        return { status: String(response.status), 'error-text': data.detail || data.title || `HTTP ${response.status}`, to };
+    }
+    if (!data.message_uuid) {
+        throw permanentError('Unexpected response from Vonage');
+    }
+    try {
+        recordChannelSubmission(data.message_uuid, { to, from, text, channel, source });
+    } catch (e) {
+        addLog(`Failed to log ${channelLabel(channel)} to ${to}: ${e.message}`, 'error');
+    }
+    return { status: '0', 'message-id': data.message_uuid, to };
+}
+
+const CHANNEL_LABELS = { sms: 'SMS', mms: 'MMS', whatsapp: 'WhatsApp message', rcs: 'RCS message' };
+const channelLabel = channel => CHANNEL_LABELS[channel || 'sms'];
+
+// Channel fields kept with a queued message; SMS keeps the shape it always had,
+// plus the optional SMS API parameters of a /sms/json request
+const channelFields = ({ channel, imageUrl, smsParams }) => (channel && channel !== 'sms'
+    ? { channel, ...(imageUrl && { imageUrl }) }
+    : { ...(smsParams && Object.keys(smsParams).length > 0 && { smsParams }) });
+
+const sendVonage = (credentials, message, source) => (message.channel && message.channel !== 'sms'
+    ? sendVonageMessage(credentials, message, source)
+    : sendVonageSms(credentials, message, source));
+
+function describeFailure({ msg, error }) {
+    return msg ? `${msg['error-text'] || 'Error'} (status ${msg.status})` : error.message;
+}
+
+// Resolves with { msg, error, attempts, exhausted, deadLetter }; deadLetter is
+// null when the message wasn't dead-lettered or saving the dead letter failed
+async function sendWithRetry(credentials, message, { source, jobId = null, deadLetter = true }) {
+    const result = await retry.withRetry(() => sendVonage(credentials, message, source), SEND_RETRY_POLICY, {
+        onRetry: (attempt, delay, outcome) => {
+            addLog(`${channelLabel(message.channel)} to ${message.to} failed (${describeFailure(outcome)}), retry ${attempt} in ${delay}ms`, 'warn');
+        }
+    });
+    
+    result.deadLetter = null;
+    if (result.exhausted && deadLetter) {
+        result.deadLetter = await addDeadLetter(message, result, { source, jobId });
+    }
+    return result;
+}
+
+async function addDeadLetter(message, result, { source, jobId }) {
+    const { to, from, text, channel } = message;
+    const now = new Date().toISOString();
+    const entry = {
+        id: crypto.randomUUID(),
+        to: to,
+        from: from,
+        text: text,
+        ...channelFields(message),
+        source: source,
+        jobId: jobId,
+        attempts: result.attempts,
+        errorCode: result.msg ? result.msg.status : null,
+        error: describeFailure(result),
+        createdAt: now,
+        updatedAt: now,
+        requeues: 0
+    };
+    
+    readJSON("deadLetters").push(entry);
+    if (!await writeData('deadLetters', readJSON("deadLetters"))) {
+        // Not kept in memory either: a dead letter that disappears on restart
+        // would look safe when it isn't
+        const deadLetters = readJSON("deadLetters");
+        if (deadLetters.includes(entry)) deadLetters.splice(deadLetters.indexOf(entry), 1);
+        addLog(`Failed to save dead letter for ${channelLabel(channel)} to ${to}; the message is lost: ${entry.error}`, 'error');
+        return null;
+    }
+    
+    addLog(`Dead-lettered ${channelLabel(channel)} to ${to} after ${result.attempts} attempts: ${entry.error}`, 'error');
+    return entry;
+}
+
+// Mark a dead-lettered bulk recipient as sent once a requeue succeeds
+function settleJobRecipient(entry, messageId) {
+    updateJobRecipient(entry.jobId, r => r.deadLetterId === entry.id && r.status === 'failed', {
+        status: 'sent',
+        messageId: messageId,
+        error: undefined,
+        errorCode: undefined
+    });
+}
+
+// Dead-lettered messages, newest first
+app.get('/api/dead-letters', requireScope('send'), (req, res) => {
+    const { source, jobId } = req.query;
+    let deadLetters = [...readJSON("deadLetters")];
+    
+    if (source && source !== 'all') {
+        deadLetters = deadLetters.filter(d => d.source === source);
+    }
+    
+    if (jobId) {
+        deadLetters = deadLetters.filter(d => d.jobId === jobId);
+    }
+    
+    deadLetters.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json(deadLetters);
+});
+
+app.get('/api/dead-letters/:id', requireScope('send'), (req, res) => {
+    const entry = readJSON("deadLetters").find(d => d.id === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(entry);
+});
+
+// Send a dead-lettered message again (with the usual retries). It is taken out
+// of the store while it sends, so a second requeue of it finds nothing to send,
+// and put back if it fails again.
+app.post('/api/dead-letters/:id/requeue', requireScope('send'), async (req, res) => {
+    const entry = readJSON("deadLetters").find(d => d.id === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    
+    // The recipient may have opted out while the message waited
+    const blockedBy = optoutStore.get(entry.to, getScopesForSender(entry.from), entry.channel || 'sms');
+    if (blockedBy) {
+        return res.status(403).json({
+            error: 'Number is opted out',
+            to: entry.to,
+            blocked: true,
+            scope: scopeOf(blockedBy)
+        });
+    }
+    
+    const credentials = getActiveCredentials();
+    const missingCredentials = credentialsError(credentials, entry.channel);
+    if (missingCredentials) {
+        return res.status(400).json({ error: missingCredentials });
+    }
+    
+    const deadLetters = readJSON("deadLetters");
+    deadLetters.splice(deadLetters.indexOf(entry), 1);
+    if (!await writeData('deadLetters', deadLetters)) {
+        readJSON("deadLetters").push(entry);
+        return sendStorageError(res);
+    }
+    
+    const result = await sendWithRetry(credentials, entry, { source: entry.source, deadLetter: false });
+    
+    if (result.msg && result.msg.status === '0') {
+        settleJobRecipient(entry, result.msg['message-id']);
+        addLog(`Requeued dead-lettered ${channelLabel(entry.channel)} to ${entry.to}`);
+        return res.json({ success: true, to: entry.to, messageId: result.msg['message-id'], status: 'sent' });
+    }
+    
+    Object.assign(entry, {
+        attempts: entry.attempts + result.attempts,
+        errorCode: result.msg ? result.msg.status : null,
+        error: describeFailure(result),
+        updatedAt: new Date().toISOString(),
+        requeues: entry.requeues + 1
+    });
+    readJSON("deadLetters").push(entry);
+    if (!await writeData('deadLetters', readJSON("deadLetters"))) {
+        return sendStorageError(res);
+    }
+    
+    res.status(result.exhausted ? 503 : 400).json({
+        error: entry.error,
+        to: entry.to,
+        status: 'failed',
+        errorCode: entry.errorCode || undefined,
+        deadLetter: entry
+    });
+});
+
+app.delete('/api/dead-letters/:id', requireScope('send'), async (req, res) => {
+    const deadLetters = readJSON("deadLetters");
+    const remaining = deadLetters.filter(d => d.id !== req.params.id);
+    if (remaining.length === deadLetters.length) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    
+    if (!await writeData('deadLetters', remaining)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Discarded dead-lettered SMS ${req.params.id}`);
+    res.json({ success: true });
+});
+
+// ========== MESSAGE ANALYSIS ==========
+// Encoding, segment count and estimated cost of a message (lib/message-analysis).
+// Prices come from the price table in settings. With a segment limit set
+// (settings or MAX_SEGMENTS), every send route refuses longer messages.
+
+const ENV_MAX_SEGMENTS = parseInt(process.env.MAX_SEGMENTS, 10) || null;
+const MAX_SEGMENTS_LIMIT = 20;
+
+function getMaxSegments() {
+    return readJSON("config").maxSegments || ENV_MAX_SEGMENTS;
+}
+
+function validateMaxSegments(value) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_SEGMENTS_LIMIT) {
+        return `maxSegments must be a whole number from 1 to ${MAX_SEGMENTS_LIMIT}`;
+    }
+    return null;
+}
+
+// null when the text is within the segment limit, otherwise its count and the limit
+function checkSegmentLimit(text) {
+    const maxSegments = getMaxSegments();
+    if (!maxSegments) return null;
+    const { segments } = messageAnalysis.analyzeMessage(text);
+    return segments > maxSegments ? { segments, maxSegments } : null;
+}
+
+function countryOfNumber(number) {
+    return (phone.parseNumber(`+${number}`) || {}).country || null;
+}
+
+// Analyze a message. Pass `text`, or `templateId` with optional `variables`,
+// and optionally `from` and `recipients` (or `to`) to price it for them. With
+// `from`, the text is analyzed as sent, with any opt-out footer for `category`.
+app.post('/api/messages/analyze', requireScope('send'), (req, res) => {
+    const { templateId, variables, from, category } = req.body;
+    let { text } = req.body;
+    
+    if (templateId) {
+        const template = readJSON("templates").find(t => t.id === templateId);
+        if (!template) {
+            return res.status(400).json({ error: 'Template not found', templateId });
+        }
+        // Without variables, price the template text as written
+        text = variables ? templates.renderTemplate(template, variables).text || template.text : template.text;
+    }
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: text (or templateId)' });
+    }
+    
+    const numbers = req.body.recipients || (req.body.to ? [req.body.to] : []);
+    if (!Array.isArray(numbers)) {
+        return res.status(400).json({ error: 'recipients must be an array' });
+    }
+    const categoryError = optoutFooter.validateCategory(category);
+    if (categoryError) {
+        return res.status(400).json({ error: categoryError });
+    }
+    
+    const country = getDefaultCountry(from && findConfigForNumber(from));
+    const footer = from ? addFooter(text, resolveFooter(from, category)) : { text, added: false };
+    const analysis = messageAnalysis.analyzeMessage(footer.text);
+    // Invalid numbers won't be sent to, so aren't priced
+    const countries = numbers.length > 0
+        ? numbers
+            .map(number => parseNumber(typeof number === 'object' && number ? number.to : number, country))
+            .filter(Boolean)
+            .map(countryOfNumber)
+        : [null];
+    const maxSegments = getMaxSegments();
+    
+    res.json({
+        ...analysis,
+        maxSegments: maxSegments || null,
+        overLimit: !!maxSegments && analysis.segments > maxSegments,
+        cost: messageAnalysis.estimateCost(analysis.segments, countries, readJSON("config").priceTable),
+        ...footerResponseFields(footer)
+    });
+});
+
+// ========== OPT-OUT FOOTERS ==========
+// Marketing messages end with the sender's opt-out instruction (lib/optout-footer).
+// The footer policy is found like the send window: the sender's opt-out config,
+// then a list containing the sender, then the global one in settings.
+
+// The opt-out config whose keyword the footer names: the sender's own, one
+// scoped to a list the sender is on, or else the first one
+function getFooterConfig(from) {
+    const config = readJSON("config");
+    const key = senderKey(from);
+    const senderLists = (config.lists || []).filter(l => l.senders.some(sender => senderKey(sender) === key));
+    return findConfigForNumber(from) ||
+        config.optoutConfigs.find(c => c.listId && senderLists.some(l => l.id === c.listId)) ||
+        config.optoutConfigs[0] || {};
+}
+
+// The footer for a message from `from` in this category, or null if none applies
+function resolveFooter(from, category) {
+    const policy = getSenderSetting(from, 'optoutFooter');
+    if (!policy || (category || policy.defaultCategory) !== 'marketing') return null;
+    
+    const optoutConfig = getFooterConfig(from);
+    const keywordList = (optoutConfig.optoutPhrase || 'STOP').split(',').map(k => k.trim().toUpperCase()).filter(Boolean);
+    return {
+        text: optoutFooter.renderFooter(policy, { stop: keywordList[0], brand: optoutConfig.brandName }),
+        keywords: keywordList
+    };
+}
+
+function addFooter(text, footer) {
+    return footer ? optoutFooter.applyFooter(text, footer.text, footer.keywords) : { text, added: false };
+}
+
+// Extra response fields telling API callers the footer was added
+function footerResponseFields(result) {
+    if (!result.added) return {};
+    const warning = optoutFooter.footerWarning(result);
+    return { footerAdded: true, ...(warning && { warnings: [warning] }) };
+}
+
+// ========== SEND WINDOWS ==========
+// Quiet hours in the recipient's local time (lib/send-window). A window set on
+// an opt-out config applies to its number, one on a list to the list's senders,
+// and the global one (settings) to everything else. Messages outside the window
+// are rejected or, with action "defer", kept in the "deferred" data set and sent
+// when it opens. Auto-replies answer the recipient and are never held back.
+
+const DEFERRED_CHECK_MS = 30 * 1000;
+
+const timezoneOverrides = new Map();
+let processingDeferred = false;
+
+function indexTimezones(timezones) {
+    timezoneOverrides.clear();
+    timezones.forEach(override => timezoneOverrides.set(override.number, override));
+}
+
+function saveDeferred() {
+    return writeData('deferred', readJSON("deferred"));
+}
+
+// Keep only the window fields callers may set; null clears a window
+function pickSendWindow(window) {
+    return window ? { start: window.start, end: window.end, action: window.action } : null;
+}
+
+// A per-sender setting: the sender's opt-out config wins over its lists, which
+// win over the global setting
+function getSenderSetting(from, field) {
+    const config = readJSON("config");
+    const optoutConfig = findConfigForNumber(from);
+    if (optoutConfig && optoutConfig[field]) return optoutConfig[field];
+    
+    const key = senderKey(from);
+    const list = (config.lists || []).find(l => l[field] &&
+        (l.senders.some(sender => senderKey(sender) === key) || (optoutConfig && optoutConfig.listId === l.id)));
+    return list ? list[field] : config[field] || null;
+}
+
+function getSendWindow(from) {
+    return getSenderSetting(from, 'sendWindow');
+}
+
+// Per-number override, else every timezone of the number's country
+function getRecipientTimezones(number) {
+    const override = timezoneOverrides.get(number);
+    if (override) return [override.timezone];
+    
+    const parsed = phone.parseNumber(`+${number}`) || {};
+    return sendWindows.timezonesForCountry(parsed.country, parsed.callingCode);
+}
+
+// null when the message may go now; otherwise the window, what to do and when
+// it next opens. A window that never opens in all of the recipient's timezones
+// can't defer, so it rejects.
+function checkSendWindow(from, to, now = new Date()) {
+    const window = getSendWindow(from);
+    if (!window) return null;
+    
+    const timezones = getRecipientTimezones(to);
+    if (sendWindows.isWithinWindow(window, timezones, now)) return null;
+    
+    const sendAt = sendWindows.nextWindowStart(window, timezones, now);
+    return {
+        window,
+        timezones,
+        action: sendAt ? window.action : 'reject',
+        sendAt: sendAt ? sendAt.toISOString() : null
+    };
+}
+
+// Hold a message until its window opens; the caller saves the deferred set
+function deferMessage(message, sendAt, { source, jobId = null }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        to: message.to,
+        from: message.from,
+        text: message.text,
+        ...channelFields(message),
+        source: source,
+        jobId: jobId,
+        sendAt: sendAt,
+        createdAt: new Date().toISOString()
+    };
+    readJSON("deferred").push(entry);
+    return entry;
+}
+
+// Move a bulk recipient to a new status, keeping the job summary in step
+function updateJobRecipient(jobId, match, changes) {
+    const job = jobId && readJSON("jobs").find(j => j.id === jobId);
+    const recipient = job && job.recipients.find(match);
+    if (!recipient) return;
+    
+    job.summary[recipient.status]--;
+    Object.assign(recipient, changes);
+    job.summary[recipient.status] = (job.summary[recipient.status] || 0) + 1;
+    saveJobs();
+}
+
+// Send deferred messages that are due. Opt-outs and the window are checked
+// again first: either may have changed while the message waited.
+async function processDeferred(now = new Date()) {
+    if (processingDeferred) return;
+    processingDeferred = true;
+    
+    try {
+        const due = readJSON("deferred").filter(d => new Date(d.sendAt) <= now);
+        if (due.length === 0) return;
+        
+        const credentials = getActiveCredentials();
+        const sendable = due.filter(entry => !credentialsError(credentials, entry.channel));
+        if (sendable.length < due.length) {
+            addLog(`${due.length - sendable.length} deferred messages waiting: ${credentialsError(credentials, due.find(d => !sendable.includes(d)).channel)}`, 'warn');
+        }
+        
+        for (const entry of sendable) {
+            const isEntry = r => r.deferredId === entry.id;
+            const blockedBy = optoutStore.get(entry.to, getScopesForSender(entry.from), entry.channel || 'sms');
+            const closed = !blockedBy && checkSendWindow(entry.from, entry.to, new Date());
+            
+            if (closed && closed.action === 'defer') {
+                entry.sendAt = closed.sendAt;
+                continue;
+            }
+            
+            if (blockedBy) {
+                addLog(`Dropped deferred SMS to ${entry.to} - number is opted out (${scopeOf(blockedBy)})`, 'warn');
+                updateJobRecipient(entry.jobId, isEntry, { status: 'blocked', reason: 'opted-out', scope: scopeOf(blockedBy) });
+            } else if (closed) {
+                addLog(`Dropped deferred SMS to ${entry.to} - outside the send window`, 'warn');
+                updateJobRecipient(entry.jobId, isEntry, { status: 'rejected', reason: 'outside-window' });
+            } else {
+                const { msg, error, deadLetter } = await sendWithRetry(credentials, entry, { source: entry.source, jobId: entry.jobId });
+                if (msg && msg.status === '0') {
+                    addLog(`Sent deferred SMS to ${entry.to}`);
+                    updateJobRecipient(entry.jobId, isEntry, { status: 'sent', messageId: msg['message-id'] });
+                } else {
+                    addLog(`Deferred SMS to ${entry.to} failed: ${describeFailure({ msg, error })}`, 'error');
+                    updateJobRecipient(entry.jobId, isEntry, {
+                        status: 'failed',
+                        error: msg ? msg['error-text'] : error.message,
+                        errorCode: msg ? msg.status : undefined,
+                        deadLetterId: deadLetter ? deadLetter.id : undefined
+                    });
+                }
+            }
+            
+            // It may have been discarded while it was sending
+            const deferred = readJSON("deferred");
+            if (deferred.includes(entry)) deferred.splice(deferred.indexOf(entry), 1);
+        }
+        
+        if (!await saveDeferred()) {
+            addLog('Failed to save deferred messages after sending them', 'error');
+        }
+    } finally {
+        processingDeferred = false;
+    }
+}
+
+function startDeferredProcessor() {
+    const pending = readJSON("deferred").length;
+    if (pending > 0) {
+        addLog(`${pending} deferred SMS waiting for their send window`);
+    }
+    setInterval(() => {
+        processDeferred().catch(error => addLog(`Deferred send error: ${error.message}`, 'error'));
+    }, DEFERRED_CHECK_MS);
+}
+
+// Deferred messages, next due first
+app.get('/api/deferred', requireScope('send'), (req, res) => {
+    const { source, jobId } = req.query;
+    let deferred = [...readJSON("deferred")];
+    
+    if (source && source !== 'all') {
+        deferred = deferred.filter(d => d.source === source);
+    }
+    
+    if (jobId) {
+        deferred = deferred.filter(d => d.jobId === jobId);
+    }
+    
+    deferred.sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    res.json(deferred);
+});
+
+// Discard a deferred message without sending it
+app.delete('/api/deferred/:id', requireScope('send'), async (req, res) => {
+    const deferred = readJSON("deferred");
+    const entry = deferred.find(d => d.id === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Deferred message not found' });
+    }
+    
+    deferred.splice(deferred.indexOf(entry), 1);
+    if (!await saveDeferred()) {
+        return sendStorageError(res);
+    }
+    
+    updateJobRecipient(entry.jobId, r => r.deferredId === entry.id, { status: 'failed', error: 'Deferred send discarded' });
+    addLog(`Discarded deferred SMS ${entry.id} to ${entry.to}`);
+    res.json({ success: true });
+});
+
+// Per-number timezone overrides
+app.get('/api/timezones', requireScope('admin'), (req, res) => {
+    res.json(readJSON("timezones"));
+});
+
+// Timezones a recipient's send window is checked in
+app.get('/api/timezones/:number', requireScope('admin'), (req, res) => {
+    const number = parseNumber(req.params.number);
+    if (!number) {
+        return res.status(400).json({ error: 'Invalid phone number', number: req.params.number });
+    }
+    res.json({ number, timezones: getRecipientTimezones(number), override: timezoneOverrides.has(number) });
+});
+
+app.put('/api/timezones/:number', requireScope('admin'), async (req, res) => {
+    const number = parseNumber(req.params.number);
+    if (!number) {
+        return res.status(400).json({ error: 'Invalid phone number', number: req.params.number });
+    }
+    
+    const { timezone } = req.body;
+    if (!sendWindows.isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/London' });
+    }
+    
+    const override = { number, timezone, updatedAt: new Date().toISOString() };
+    const timezones = readJSON("timezones").filter(t => t.number !== number);
+    timezones.push(override);
+    if (!await writeData('timezones', timezones)) {
+        return sendStorageError(res);
+    }
+    indexTimezones(timezones);
+    
+    addLog(`Timezone for ${number} set to ${timezone}`);
+    res.json({ success: true, override });
+});
+
+app.delete('/api/timezones/:number', requireScope('admin'), async (req, res) => {
+    const number = parseNumber(req.params.number);
+    const timezones = readJSON("timezones");
+    const remaining = timezones.filter(t => t.number !== number);
+    if (!number || remaining.length === timezones.length) {
+        return res.status(404).json({ error: 'Timezone override not found' });
+    }
+    
+    if (!await writeData('timezones', remaining)) {
+        return sendStorageError(res);
+    }
+    indexTimezones(remaining);
+    
+    addLog(`Timezone override removed for ${number}`);
+    res.json({ success: true });
+});
+
+// ========== TEMPLATES ==========
+// Reusable message texts with {{name}} placeholders (lib/templates), filled in
+// per recipient by bulk sends.
+
+function pickTemplateFields(body) {
+    return {
+        name: body.name.trim(),
+        text: body.text,
+        defaults: body.defaults || {},
+        required: body.required || []
+    };
+}
+
+app.get('/api/templates', requireScope('send'), (req, res) => {
+    const list = [...readJSON("templates")].sort((a, b) => a.name.localeCompare(b.name));
+    res.json(list.map(template => ({ ...template, placeholders: templates.placeholders(template.text) })));
+});
+
+app.get('/api/templates/:id', requireScope('send'), (req, res) => {
+    const template = readJSON("templates").find(t => t.id === req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ ...template, placeholders: templates.placeholders(template.text) });
+});
+
+app.post('/api/templates', requireScope('send'), async (req, res) => {
+    const validationError = templates.validateTemplate(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const now = new Date().toISOString();
+    const template = {
+        id: crypto.randomUUID(),
+        ...pickTemplateFields(req.body),
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    if (!await writeData('templates', [...readJSON("templates"), template])) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Template added: ${template.name}`);
+    res.json({ success: true, template });
+});
+
+app.put('/api/templates/:id', requireScope('send'), async (req, res) => {
+    const list = readJSON("templates");
+    const template = list.find(t => t.id === req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    const updated = { ...template, ...req.body };
+    const validationError = templates.validateTemplate(updated);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    Object.assign(template, pickTemplateFields(updated), { updatedAt: new Date().toISOString() });
+    if (!await writeData('templates', list)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Template updated: ${template.name}`);
+    res.json({ success: true, template });
+});
+
+app.delete('/api/templates/:id', requireScope('send'), async (req, res) => {
+    const list = readJSON("templates");
+    const remaining = list.filter(t => t.id !== req.params.id);
+    if (remaining.length === list.length) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (!await writeData('templates', remaining)) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Template deleted: ${req.params.id}`);
+    res.json({ success: true });
+});
+
+// Preview a template with one recipient's variables
+app.post('/api/templates/:id/render', requireScope('send'), (req, res) => {
+    const template = readJSON("templates").find(t => t.id === req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(templates.renderTemplate(template, req.body.variables || {}));
+});
+
+// ========== SCHEDULES ==========
+// Single and bulk sends queued for later, optionally repeating on a cron
+// expression (lib/cron) in a given timezone. Each run creates a bulk job, so
+// opt-outs and send windows are checked when the messages actually go out.
+// Runs missed while the server was down happen once on startup; a repeating
+// schedule then carries on from its next run after now.
+
+const SCHEDULE_CHECK_MS = 15 * 1000;
+const MAX_SCHEDULE_RUNS = 20;
+const MAX_FINISHED_SCHEDULES = 50;
+const MAX_CALENDAR_DAYS = 92;
+const MAX_CALENDAR_OCCURRENCES = 1000;
+
+let processingSchedules = false;
+
+function saveSchedules() {
+    return writeData('schedules', readJSON("schedules"));
+}
+
+const isFinishedSchedule = schedule => schedule.status !== 'scheduled';
+
+// Keep every active schedule and the most recent finished ones
+function pruneFinishedSchedules(schedules) {
+    const finished = schedules.filter(isFinishedSchedule);
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SCHEDULES)));
+    return schedules.filter(schedule => !dropped.has(schedule));
+}
+
+// Schedule without its (possibly very long) recipient list
+function scheduleSummary(schedule) {
+    const { recipients, ...summary } = schedule;
+    return { ...summary, recipientCount: recipients.length };
+}
+
+function parseDate(value) {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date : null;
+}
+
+// Validate a new schedule, or an edit merged over the existing one, and work
+// out its next run. Returns { error } or { fields }.
+function resolveSchedule(body, existing = null) {
+    const fields = {
+        name: typeof body.name === 'string' ? body.name.trim() : existing ? existing.name : '',
+        from: body.from !== undefined ? body.from : existing && existing.from,
+        text: body.text !== undefined ? body.text : existing && existing.text,
+        templateId: body.templateId !== undefined ? body.templateId || null : existing ? existing.templateId || null : null,
+        category: body.category !== undefined ? body.category || null : existing ? existing.category || null : null,
+        timezone: body.timezone !== undefined ? body.timezone || 'UTC' : existing ? existing.timezone : 'UTC',
+        recurrence: body.recurrence !== undefined ? body.recurrence || null : existing ? existing.recurrence : null,
+        endAt: body.endAt !== undefined ? body.endAt || null : existing ? existing.endAt : null
+    };
+    
+    if (body.to !== undefined) {
+        Object.assign(fields, { type: 'single', recipients: [body.to] });
+    } else if (body.recipients !== undefined) {
+        Object.assign(fields, { type: 'bulk', recipients: body.recipients });
+    } else if (existing) {
+        Object.assign(fields, { type: existing.type, recipients: existing.recipients });
+    }
+    
+    if (fields.templateId) {
+        const template = readJSON("templates").find(t => t.id === fields.templateId);
+        if (!template) return { error: 'Template not found' };
+        // Kept for display; each run renders the template as it is then
+        fields.text = template.text;
+    }
+    if (!fields.from || !fields.text) {
+        return { error: 'Missing required fields: from, text (or templateId)' };
+    }
+    const categoryError = optoutFooter.validateCategory(fields.category);
+    if (categoryError) return { error: categoryError };
+    const tooLong = templates.placeholders(fields.text).length === 0 &&
+        checkSegmentLimit(addFooter(fields.text, resolveFooter(fields.from, fields.category)).text);
+    if (tooLong) {
+        return { error: `Message is ${tooLong.segments} SMS parts; the limit is ${tooLong.maxSegments}` };
+    }
+    if (!fields.recipients) {
+        return { error: 'Missing required field: to (single send) or recipients (bulk send)' };
+    }
+    if (!Array.isArray(fields.recipients) || fields.recipients.length === 0 || fields.recipients.some(r => !r || (typeof r === 'object' && !r.to))) {
+        return { error: 'Missing or invalid recipients array' };
+    }
+    if (fields.type === 'single' && !parseNumber(fields.recipients[0], getDefaultCountry(findConfigForNumber(fields.from)))) {
+        return { error: 'Invalid phone number' };
+    }
+    if (!sendWindows.isValidTimezone(fields.timezone)) {
+        return { error: 'timezone must be an IANA timezone such as Europe/London' };
+    }
+    if (fields.recurrence) {
+        const cronError = cron.validateCron(fields.recurrence, fields.timezone);
+        if (cronError) return { error: cronError };
+    }
+    
+    const now = new Date();
+    const timingChanged = !existing || ['sendAt', 'recurrence', 'timezone'].some(field => body[field] !== undefined);
+    if (timingChanged) {
+        const sendAt = body.sendAt !== undefined ? parseDate(body.sendAt) : null;
+        if (body.sendAt !== undefined && (!sendAt || sendAt <= now)) {
+            return { error: 'sendAt must be a date and time in the future' };
+        }
+        if (!sendAt && !fields.recurrence) {
+            return { error: 'sendAt or recurrence is required' };
+        }
+        // A repeating schedule runs on its cron times only; sendAt is when it starts
+        const first = fields.recurrence
+            ? cron.nextRun(fields.recurrence, new Date((sendAt || now).getTime() - 1), fields.timezone)
+            : sendAt;
+        fields.sendAt = first.toISOString();
+    } else {
+        fields.sendAt = existing.sendAt;
+    }
+    
+    if (fields.endAt && (!parseDate(fields.endAt) || parseDate(fields.endAt) < new Date(fields.sendAt))) {
+        return { error: 'endAt must be a date and time after the first run' };
+    }
+    if (fields.endAt) fields.endAt = parseDate(fields.endAt).toISOString();
+    
+    return { fields };
+}
+
+// Record a run and move on to the next one, or finish
+function advanceSchedule(schedule, job, now) {
+    schedule.runs = [...schedule.runs, { at: now.toISOString(), scheduledFor: schedule.sendAt, jobId: job.id }].slice(-MAX_SCHEDULE_RUNS);
+    schedule.runCount++;
+    schedule.lastRunAt = now.toISOString();
+    schedule.updatedAt = now.toISOString();
+    
+    const next = schedule.recurrence && cron.nextRun(schedule.recurrence, now, schedule.timezone);
+    if (next && (!schedule.endAt || next <= new Date(schedule.endAt))) {
+        schedule.sendAt = next.toISOString();
+    } else {
+        schedule.status = 'completed';
+    }
+}
+
+// Start a bulk job for every schedule that is due. The schedule is saved before
+// its job starts, so a crash in between skips a run rather than sending it twice.
+async function processSchedules(now = new Date()) {
+    if (processingSchedules) return;
+    processingSchedules = true;
+    
+    try {
+        const due = readJSON("schedules").filter(s => s.status === 'scheduled' && new Date(s.sendAt) <= now);
+        for (const schedule of due) {
+            const job = createBulkJob({
+                recipients: schedule.recipients,
+                from: schedule.from,
+                text: schedule.text,
+                // A deleted template leaves the text it had when last saved
+                template: schedule.templateId ? readJSON("templates").find(t => t.id === schedule.templateId) : null,
+                category: schedule.category || null,
+                source: 'schedule',
+                scheduleId: schedule.id
+            });
+            advanceSchedule(schedule, job, now);
+            
+            if (!await saveSchedules()) {
+                addLog(`Schedule ${schedule.id} could not be saved; its run was not started`, 'error');
+                continue;
+            }
+            addLog(`Schedule ${schedule.name || schedule.id} started job ${job.id}` +
+                (schedule.status === 'scheduled' ? `, next run ${schedule.sendAt}` : ''));
+            await startBulkJob(job);
+        }
+    } finally {
+        processingSchedules = false;
+    }
+}
+
+function startScheduleProcessor() {
+    setInterval(() => {
+        processSchedules().catch(error => addLog(`Schedule error: ${error.message}`, 'error'));
+    }, SCHEDULE_CHECK_MS);
+}
+
+// Runs of a schedule between two dates
+function scheduleOccurrences(schedule, start, end) {
+    const first = new Date(schedule.sendAt);
+    const last = schedule.endAt && new Date(schedule.endAt) < end ? new Date(schedule.endAt) : end;
+    const runs = first >= start && first <= last ? [first] : [];
+    
+    if (schedule.recurrence) {
+        const after = first >= start ? first : new Date(start.getTime() - 1);
+        runs.push(...cron.occurrences(schedule.recurrence, after, last, schedule.timezone, MAX_CALENDAR_OCCURRENCES));
+    }
+    return runs;
+}
+
+// Schedule a single (`to`) or bulk (`recipients`) send
+app.post('/api/schedules', requireScope('send'), idempotent('schedule'), async (req, res) => {
+    const { error, fields } = resolveSchedule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const now = new Date().toISOString();
+    const schedule = {
+        id: crypto.randomUUID(),
+        ...fields,
+        status: 'scheduled',
+        runCount: 0,
+        runs: [],
+        lastRunAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    if (!await writeData('schedules', pruneFinishedSchedules([...readJSON("schedules"), schedule]))) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Scheduled ${schedule.type} send from ${schedule.from} to ${schedule.recipients.length} recipient${schedule.recipients.length === 1 ? '' : 's'} at ${schedule.sendAt}` +
+        (schedule.recurrence ? `, repeating ${schedule.recurrence} (${schedule.timezone})` : ''));
+    res.json({ success: true, schedule: scheduleSummary(schedule) });
+});
+
+// Schedules, next run first (?status=scheduled|completed|cancelled)
+app.get('/api/schedules', requireScope('send'), (req, res) => {
+    let schedules = readJSON("schedules");
+    if (req.query.status && req.query.status !== 'all') {
+        schedules = schedules.filter(s => s.status === req.query.status);
+    }
+    
+    schedules = schedules.map(scheduleSummary);
+    schedules.sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    res.json(schedules);
+});
+
+// Upcoming runs of every active schedule between start and end (default: the next 31 days)
+app.get('/api/schedules/calendar', requireScope('send'), (req, res) => {
+    const start = req.query.start ? parseDate(req.query.start) : new Date();
+    if (!start) {
+        return res.status(400).json({ error: 'start must be a date' });
+    }
+    const end = req.query.end ? parseDate(req.query.end) : new Date(start.getTime() + 31 * 24 * 60 * 60 * 1000);
+    if (!end || end < start) {
+        return res.status(400).json({ error: 'end must be a date after start' });
+    }
+    if (end - start > MAX_CALENDAR_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` });
+    }
+    
+    const occurrences = [];
+    for (const schedule of readJSON("schedules").filter(s => s.status === 'scheduled')) {
+        for (const at of scheduleOccurrences(schedule, start, end)) {
+            occurrences.push({
+                scheduleId: schedule.id,
+                name: schedule.name,
+                at: at.toISOString(),
+                from: schedule.from,
+                recipientCount: schedule.recipients.length,
+                recurring: !!schedule.recurrence
+            });
+        }
+    }
+    occurrences.sort((a, b) => new Date(a.at) - new Date(b.at));
+    
+    res.json({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        truncated: occurrences.length > MAX_CALENDAR_OCCURRENCES,
+        occurrences: occurrences.slice(0, MAX_CALENDAR_OCCURRENCES)
+    });
+});
+
+// One schedule; ?recipients=true adds its recipient list
+app.get('/api/schedules/:id', requireScope('send'), (req, res) => {
+    const schedule = readJSON("schedules").find(s => s.id === req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(req.query.recipients === 'true' ? schedule : scheduleSummary(schedule));
+});
+
+// Edit a schedule that hasn't finished; changing sendAt, recurrence or timezone
+// recalculates the next run
+app.put('/api/schedules/:id', requireScope('send'), async (req, res) => {
+    const schedule = readJSON("schedules").find(s => s.id === req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (isFinishedSchedule(schedule)) {
+        return res.status(409).json({ error: `Schedule is already ${schedule.status}` });
+    }
+    
+    const { error, fields } = resolveSchedule(req.body, schedule);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    Object.assign(schedule, fields, { updatedAt: new Date().toISOString() });
+    if (!await saveSchedules()) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Schedule ${schedule.id} updated, next run ${schedule.sendAt}`);
+    res.json({ success: true, schedule: scheduleSummary(schedule) });
+});
+
+app.post('/api/schedules/:id/cancel', requireScope('send'), async (req, res) => {
+    const schedule = readJSON("schedules").find(s => s.id === req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (isFinishedSchedule(schedule)) {
+        return res.status(409).json({ error: `Schedule is already ${schedule.status}` });
+    }
+    
+    Object.assign(schedule, { status: 'cancelled', updatedAt: new Date().toISOString() });
+    if (!await saveSchedules()) {
+        return sendStorageError(res);
+    }
+    
+    addLog(`Schedule ${schedule.id} cancelled`);
+    res.json({ success: true, schedule: scheduleSummary(schedule) });
+});
+
+// ========== PHONE NUMBERS ==========
+// Numbers are compared and stored as E.164 digits (no '+'). National-format
+// numbers are read in the opt-out config's default country, then the global
+// default (settings or DEFAULT_COUNTRY).
+
+function getDefaultCountry(optoutConfig) {
+    const config = readJSON("config");
+    return (optoutConfig && optoutConfig.defaultCountry) || config.defaultCountry || ENV_DEFAULT_COUNTRY || null;
+}
+
+// Helper to normalize phone numbers for comparison
+function normalizeNumber(num, country = getDefaultCountry()) {
+    return phone.normalizeNumber(num, country);
+}
+
+// Strict variant for numbers supplied by API callers; null when impossible
+function parseNumber(num, country = getDefaultCountry()) {
+    const parsed = phone.parseNumber(num, country);
+    return parsed ? parsed.number : null;
+}
+
+// Opt-out config owning a sending/receiving number, if any
+function findConfigForNumber(number) {
+    const config = readJSON("config");
+    const normalized = normalizeNumber(number);
+    if (!normalized) return null;
+    return config.optoutConfigs.find(c => normalizeNumber(c.optoutNumber) === normalized) || null;
+}
+
+function validateCountry(country) {
+    if (country && !phone.normalizeCountry(country)) {
+        return `Unsupported country code: ${country}`;
+    }
+    return null;
+}
+
+// Re-normalize stored opt-outs and history with the current country settings.
+// Opt-outs that collapse onto the same number are merged, keeping the earliest.
+async function renormalizeStoredNumbers({ dryRun = false } = {}) {
+    const config = readJSON("config");
+    const history = historyLog.find();
+    const configsById = new Map(config.optoutConfigs.map(c => [c.id, c]));
+    const countryFor = item => getDefaultCountry(configsById.get(item.configId));
+    
+    const report = {
+        dryRun,
+        optouts: { total: 0, changed: 0, merged: [], unparseable: [] },
+        history: { total: history.length, changed: 0 }
+    };
+    
+    const groups = new Map();
+    for (const entry of optoutStore.list()) {
+        const item = typeof entry === 'string' ? { number: entry } : entry;
+        const parsed = parseNumber(item.originalNumber || item.number, countryFor(item)) ||
+            parseNumber(item.number, countryFor(item));
+        const number = parsed || item.number;
+        
+        report.optouts.total++;
+        if (!parsed) report.optouts.unparseable.push(item.number);
+        if (number !== item.number) report.optouts.changed++;
+        
+        // Opt-outs in different scopes are separate entries
+        const key = `${number}|${scopeOf(entry)}`;
+        const group = groups.get(key);
+        if (group) {
+            group.sources.push(item.number);
+        } else {
+            const updated = typeof entry === 'string' ? number : { ...entry, number };
+            groups.set(key, { entry: updated, number, scope: scopeOf(entry), sources: [item.number] });
+        }
+    }
+    
+    const optouts = [];
+    for (const group of groups.values()) {
+        optouts.push(group.entry);
+        if (group.sources.length > 1) {
+            report.optouts.merged.push({ number: group.number, scope: group.scope, from: group.sources });
+        }
+    }
+    
+    const historyChanges = [];
+    for (const item of history) {
+        const number = parseNumber(item.number, countryFor(item)) || item.number;
+        if (number !== item.number) historyChanges.push({ item, number });
+    }
+    report.history.changed = historyChanges.length;
+    
+    if (dryRun) return report;
+    
+    historyChanges.forEach(({ item, number }) => { item.number = number; });
+    const changedHistory = historyChanges.map(({ item }) => item);
+    if (!await saveAll(replaceOptouts(optouts), changedHistory.length > 0 && historyLog.update(changedHistory))) {
+        return null;
+    }
+    
+    addLog(`Re-normalized numbers: ${report.optouts.changed} opt-outs changed, ${report.optouts.merged.length} merged, ${report.history.changed} history entries changed`);
+    return report;
+}
+
+// ========== OPT-OUT SCOPES ==========
+// An opt-out applies globally, to one opt-out config ("config:<id>") or to a
+// named list/brand ("list:<id>") grouping sender numbers and custom sender IDs.
+// Sends are blocked by any scope that covers the `from` being used.
+
+const OPTOUT_SCOPE_TYPES = ['global', 'config', 'list'];
+// Keywords that opt out of (or back into) every scope regardless of the config's own scope
+const OPTOUT_ALL_KEYWORDS = ['STOPALL'];
+const OPTIN_ALL_KEYWORDS = ['STARTALL'];
+
+// Sender numbers compare as E.164, alphanumeric sender IDs case-insensitively
+function senderKey(sender) {
+    const value = String(sender || '').trim();
+    return /[a-z]/i.test(value) ? value.toUpperCase() : normalizeNumber(value);
+}
+
+// Scope that inbound opt-outs on this config are recorded under
+function getConfigScope(optoutConfig) {
+    if (optoutConfig.optoutScope === 'config') return `config:${optoutConfig.id}`;
+    if (optoutConfig.optoutScope === 'list' && optoutConfig.listId) return `list:${optoutConfig.listId}`;
+    return GLOBAL_SCOPE;
+}
+
+// Every scope whose opt-outs apply when sending from this sender
+function getScopesForSender(from) {
+    const config = readJSON("config");
+    const key = senderKey(from);
+    const optoutConfig = findConfigForNumber(from);
+    const scopes = [GLOBAL_SCOPE];
+    
+    if (optoutConfig) scopes.push(`config:${optoutConfig.id}`);
+    
+    for (const list of config.lists || []) {
+        const inList = list.senders.some(sender => senderKey(sender) === key) ||
+            (optoutConfig && optoutConfig.optoutScope === 'list' && optoutConfig.listId === list.id);
+        if (inList) scopes.push(`list:${list.id}`);
+    }
+    
+    return scopes;
+}
+
+// Scopes an inbound opt-in lifts: the config's own and the lists its number is
+// in. Opt-outs recorded elsewhere, such as another brand's or a STOPALL, stay
+// unless the keyword is STARTALL; an admin can still lift them by hand.
+function getOptinScopes(optoutConfig, keyword) {
+    const senderScopes = getScopesForSender(optoutConfig.optoutNumber);
+    if (OPTIN_ALL_KEYWORDS.includes(keyword)) return senderScopes;
+    
+    const own = [getConfigScope(optoutConfig), `config:${optoutConfig.id}`];
+    return senderScopes.filter(scope => own.includes(scope) || scope.startsWith('list:'));
+}
+
+// Validate a scope given to the manual opt-out/opt-in routes
+function validateScope(scope) {
+    if (scope === undefined || scope === GLOBAL_SCOPE) return null;
+    
+    const config = readJSON("config");
+    const [type, id] = String(scope).split(':');
+    if (type === 'config' && config.optoutConfigs.some(c => c.id === id)) return null;
+    if (type === 'list' && (config.lists || []).some(l => l.id === id)) return null;
+    
+    return `Unknown scope: ${scope}. Use global, config:<id> or list:<id>`;
+}
+
+// Validate an opt-out config's optoutScope / listId
+function validateScopeSettings(settings) {
+    if (settings.optoutScope === undefined) return null;
+    if (!OPTOUT_SCOPE_TYPES.includes(settings.optoutScope)) {
+        return `optoutScope must be one of: ${OPTOUT_SCOPE_TYPES.join(', ')}`;
+    }
+    
+    const config = readJSON("config");
+    if (settings.optoutScope === 'list' && !(config.lists || []).some(l => l.id === settings.listId)) {
+        return 'listId must reference an existing list';
+    }
+    return null;
+}
+
+// Opt-outs can also be limited to channels (sms, mms, whatsapp, rcs); entries
+// without `channels` block every channel. An opt-out received on a channel
+// blocks that channel plus the config's optoutChannels.
+
+// `channels` given to the manual opt-out/opt-in routes
+function validateEntryChannels(channels) {
+    if (Array.isArray(channels) && channels.length === 0) return 'channels must name at least one channel';
+    return messagesApi.validateChannelList(channels, 'channels');
+}
+
+// Channels an opt-out or opt-in received on `channel` covers, or null for all of them
+function getOptoutChannels(optoutConfig, channel) {
+    const channels = [...new Set([channel, ...(optoutConfig.optoutChannels || [])])];
+    return messagesApi.CHANNELS.every(c => channels.includes(c)) ? null : channels;
+}
+
+// ========== WEBHOOK SIGNATURES ==========
+// Vonage signs webhooks either with a `sig` parameter (MD5 hash or HMAC of the
+// sorted parameters) or, for the Messages API, with an HS256 JWT in the
+// Authorization header. Settings come from the matching opt-out config, falling
+// back to VONAGE_SIGNATURE_SECRET / VONAGE_SIGNATURE_METHOD.
+
+const SIGNATURE_METHODS = ['none', 'md5hash', 'md5', 'sha1', 'sha256', 'sha512', 'jwt'];
+const DEFAULT_SIGNATURE_MAX_AGE = 300; // seconds
+
+function getSignatureSettings(optoutConfig) {
+    if (optoutConfig && optoutConfig.signatureMethod && optoutConfig.signatureMethod !== 'none') {
+        return {
+            method: optoutConfig.signatureMethod,
+            secret: optoutConfig.signatureSecret || '',
+            maxAge: Number(optoutConfig.signatureMaxAge) || DEFAULT_SIGNATURE_MAX_AGE
+        };
+    }
+    if (ENV_SIGNATURE_SECRET) {
+        return {
+            method: ENV_SIGNATURE_METHOD,
+            secret: ENV_SIGNATURE_SECRET,
+            maxAge: DEFAULT_SIGNATURE_MAX_AGE
+        };
+    }
+    return null;
+}
+
+// Validate signature fields on a config create/update body
+function validateSignatureSettings(body) {
+    const { signatureMethod, signatureSecret, signatureMaxAge } = body;
+    if (signatureMethod === undefined) return null;
+    if (!SIGNATURE_METHODS.includes(signatureMethod)) {
+        return `signatureMethod must be one of: ${SIGNATURE_METHODS.join(', ')}`;
+    }
+    if (signatureMethod !== 'none' && !signatureSecret) {
+        return 'signatureSecret is required when signatureMethod is set';
+    }
+    if (signatureMaxAge !== undefined && !(Number(signatureMaxAge) > 0)) {
+        return 'signatureMaxAge must be a positive number of seconds';
+    }
+    return null;
+}
+
+// Same algorithm as the Vonage SDKs: sorted params (minus sig), with & and = in
+// values replaced by _, then hashed with the signature secret
+function generateSignature(params, secret, method) {
+    const signedQuery = Object.keys(params)
+        .filter(key => key !== 'sig')
+        .sort()
+        .map(key => `&${key}=${String(params[key]).replace(/[&=]/g, '_')}`)
+        .join('');
+    
+    if (method === 'md5hash') {
+        return crypto.createHash('md5').update(signedQuery + secret).digest('hex');
+    }
+    return crypto.createHmac(method, secret).update(signedQuery).digest('hex');
+}
+
+function verifySignedParams(params, settings) {
+    if (!params.sig) return 'missing sig parameter';
+    if (!params.timestamp) return 'missing timestamp parameter';
+    
+    const age = Math.abs(Date.now() / 1000 - Number(params.timestamp));
+    if (!(age <= settings.maxAge)) return `stale request (timestamp ${params.timestamp})`;
+    
+    const expected = generateSignature(params, settings.secret, settings.method);
+    if (!safeEqual(String(params.sig).toLowerCase(), expected)) return 'signature mismatch';
+    return null;
+}
+
+function verifySignedJwt(req, settings) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return 'missing JWT bearer token';
+    
+    const parts = header.slice(7).trim().split('.');
+    if (parts.length !== 3) return 'malformed JWT';
+    
+    let jwtHeader;
+    let claims;
+    try {
+        jwtHeader = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (e) {
+        return 'malformed JWT';
+    }
+    
+    if (jwtHeader.alg !== 'HS256') return `unsupported JWT algorithm ${jwtHeader.alg}`;
+    
+    const expected = crypto.createHmac('sha256', settings.secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+    if (!safeEqual(parts[2], expected)) return 'JWT signature mismatch';
+    
+    if (!claims.iat) return 'JWT missing iat claim';
+    const age = Math.abs(Date.now() / 1000 - Number(claims.iat));
+    if (!(age <= settings.maxAge)) return `stale JWT (iat ${claims.iat})`;
+    if (claims.exp && Number(claims.exp) < Date.now() / 1000) return 'expired JWT';
+    
+    if (claims.payload_hash) {
+        const payloadHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+        if (!safeEqual(String(claims.payload_hash).toLowerCase(), payloadHash)) return 'JWT payload_hash mismatch';
+    }
+    return null;
+}
+
+// Returns null when the webhook is acceptable, otherwise the rejection reason
+function verifyWebhookSignature(req, params, optoutConfig) {
+    const settings = getSignatureSettings(optoutConfig);
+    if (!settings) return null;
+    
+    return settings.method === 'jwt'
+        ? verifySignedJwt(req, settings)
+        : verifySignedParams(params, settings);
+}
+
+// ========== AUTO-REPLIES ==========
+// Compliance replies sent from the receiving number when an opt-out, opt-in or
+// HELP keyword matches. Templates accept {{brand}}, {{contact}}, {{stop}},
+// {{start}}, {{confirm}} and {{hours}}; an empty template turns that reply off.
+// The double opt-in confirmation request is sent even with auto-replies off.
+// Replies go out on the channel the keyword came in on. They are recorded in
+// history, which is also what the throttle looks at, so it survives restarts.
+
+const AUTO_REPLY_THROTTLE_MS = 10 * 60 * 1000;
+
+const DEFAULT_REPLY_TEMPLATES = {
+    optout: '{{brand}}: You have been unsubscribed and will receive no further messages. Reply {{start}} to resubscribe.',
+    optin: '{{brand}}: You have been resubscribed. Reply HELP for help, {{stop}} to unsubscribe.',
+    help: '{{brand}}: For help contact {{contact}}. Reply {{stop}} to unsubscribe.',
+    confirm: '{{brand}}: Reply {{confirm}} within {{hours}} hours to confirm you want to receive our messages again.'
+};
+
+const AUTO_REPLY_FIELDS = ['optoutReply', 'optinReply', 'helpReply', 'confirmReply'];
+
+function validateAutoReplySettings(settings) {
+    if (!settings.autoReply) return null;
+    if (!settings.brandName) return 'brandName is required when auto-replies are enabled';
+    if (!settings.contactInfo) return 'contactInfo is required when auto-replies are enabled';
+    return null;
+}
+
+function getReplyTemplate(optoutConfig, replyType) {
+    const template = optoutConfig[`${replyType}Reply`];
+    return template === undefined || template === null ? DEFAULT_REPLY_TEMPLATES[replyType] : template;
+}
+
+function renderReplyTemplate(template, optoutConfig) {
+    const firstPhrase = (phrases, fallback) => (phrases || fallback).split(',')[0].trim().toUpperCase();
+    const values = {
+        brand: optoutConfig.brandName || '',
+        contact: optoutConfig.contactInfo || '',
+        stop: firstPhrase(optoutConfig.optoutPhrase, 'STOP'),
+        start: firstPhrase(optoutConfig.optinPhrase, 'START'),
+        confirm: firstPhrase(optoutConfig.confirmPhrase, keywords.DEFAULT_CONFIRM_PHRASE),
+        hours: String(getConfirmWindowHours(optoutConfig))
+    };
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => name in values ? values[name] : match).trim();
+}
+
+function isReplyThrottled(number, replyType, now) {
+    return historyLog.find({
+        where: { action: 'reply', number },
+        since: new Date(now - AUTO_REPLY_THROTTLE_MS).toISOString(),
+        filter: item => item.replyType === replyType && item.status !== 'failed',
+        limit: 1
+    }).length > 0;
+}
+
+async function sendAutoReply(optoutConfig, replyType, to, from, channel = 'sms') {
+    if (!optoutConfig.autoReply && replyType !== 'confirm') return;
+    
+    const template = getReplyTemplate(optoutConfig, replyType);
+    if (!template) return;
+    
+    const now = Date.now();
+    if (isReplyThrottled(to, replyType, now)) {
+        addLog(`Skipped ${replyType} reply to ${to} - already replied in the last ${AUTO_REPLY_THROTTLE_MS / 60000} minutes`);
+        return;
+    }
+    
+    const credentials = getActiveCredentials();
+    const credentialsProblem = credentialsError(credentials, channel);
+    if (credentialsProblem) {
+        addLog(`Cannot send ${replyType} reply to ${to} - ${credentialsProblem}`, 'warn');
+        return;
+    }
+    
+    // Recorded before sending so a burst of keywords only produces one reply
+    const entry = {
+        number: to,
+        action: 'reply',
+        replyType: replyType,
+        timestamp: new Date(now).toISOString(),
+        receivedOn: from,
+        configId: optoutConfig.id,
+        text: renderReplyTemplate(template, optoutConfig),
+        ...(channel !== 'sms' && { channel }),
+        status: 'pending'
+    };
+    historyLog.add(entry);
+    
+    // Replies are not dead-lettered: a late confirmation is worse than none
+    const { msg, error } = await sendWithRetry(credentials, { to, from, text: entry.text, ...channelFields({ channel }) },
+        { source: 'auto-reply', deadLetter: false });
+    if (msg && msg.status === '0') {
+        entry.status = 'sent';
+        entry.messageId = msg['message-id'];
+        addLog(`Sent ${replyType} reply to ${to}`);
+    } else {
+        entry.status = 'failed';
+        entry.error = msg ? msg['error-text'] : error.message;
+        addLog(`${replyType} reply to ${to} failed: ${entry.error}`, 'error');
+    }
+    
+    await historyLog.update(entry);
+}
+
+// ========== CONSENT RECORDS ==========
+// Every opt-in and opt-out event in history carries a `consent` record saying
+// how it happened: the source (the channel of an inbound message, or ui, api,
+// bulk-api, import or system), the keyword, the inbound message (text, Vonage
+// message ID, numbers and time), and the acting user or API key with its IP for
+// everything done through the API. GET /api/numbers/:number/consent puts a
+// number's events together as a timeline that can be exported as JSON or CSV.
+
+function consentActor(principal) {
+    if (!principal) return null;
+    return principal.type === 'session'
+        ? { type: 'user', user: principal.user }
+        : { type: 'apiKey', keyId: principal.keyId, name: principal.name };
+}
+
+// Consent record for a dashboard or API action; the dashboard's session counts
+// as the UI unless the route says otherwise (bulk-api, import)
+function apiConsent(req, { source, keyword, reference } = {}) {
+    return {
+        source: source || (req.principal && req.principal.type === 'session' ? 'ui' : 'api'),
+        keyword: keyword || null,
+        message: null,
+        actor: consentActor(req.principal),
+        ip: req.ip || null,
+        ...(reference && { reference: String(reference) })
+    };
+}
+
+// Consent record for an inbound message, keeping it as it arrived; the source
+// is its channel, or the simulator with the user who ran it
+function inboundConsent(inbound, keyword, receivedAt) {
+    const simulatedBy = inbound.simulatedBy;
+    return {
+        source: simulatedBy ? 'simulator' : inbound.channel,
+        keyword: keyword || null,
+        message: {
+            text: inbound.text,
+            messageId: inbound.messageId,
+            from: inbound.from,
+            to: inbound.to,
+            receivedAt: inbound.receivedAt || receivedAt
+        },
+        actor: simulatedBy ? simulatedBy.actor : null,
+        ip: simulatedBy ? simulatedBy.ip : null
+    };
+}
+
+// Bulk routes record "bulk-api" unless the numbers come from an import of an
+// existing list, described by `reference` (a file name, CRM export and so on)
+function validateBulkSource(source) {
+    if (source === undefined || source === 'bulk-api' || source === 'import') return null;
+    return 'source must be bulk-api or import';
+}
+
+const systemConsent = () => ({ source: 'system', keyword: null, message: null, actor: null, ip: null });
+
+const CONSENT_CSV_COLUMNS = [
+    ['timestamp', e => e.timestamp],
+    ['action', e => e.action],
+    ['scope', e => e.scope],
+    ['source', e => e.consent && e.consent.source],
+    ['keyword', e => e.keyword || (e.consent && e.consent.keyword)],
+    ['messageText', e => e.consent && e.consent.message ? e.consent.message.text : e.text],
+    ['messageId', e => e.consent && e.consent.message ? e.consent.message.messageId : e.messageId],
+    ['receivedOn', e => e.receivedOn],
+    ['configId', e => e.configId],
+    ['actor', e => {
+        const actor = e.consent && e.consent.actor;
+        if (!actor) return '';
+        return actor.type === 'user' ? `user:${actor.user}` : `apiKey:${actor.name} (${actor.keyId})`;
+    }],
+    ['ip', e => e.consent && e.consent.ip],
+    ['reference', e => e.consent && e.consent.reference],
+    ['confirmationId', e => e.confirmationId]
+];
+
+// Cells a spreadsheet would read as a formula (inbound texts are attacker-supplied)
+// get a leading apostrophe
+const csvCell = value => {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Consent timeline for one number, oldest first, with where it stands now
+app.get('/api/numbers/:number/consent', requireScope('optout:read'), (req, res) => {
+    const number = parseNumber(req.params.number);
+    if (!number) {
+        return res.status(400).json({ error: 'Invalid phone number', number: req.params.number });
+    }
+    
+    const events = historyLog.find({ where: { number } });
+    const optouts = optoutStore.entries(number).map(entry => ({ ...entry, scope: scopeOf(entry) }));
+    
+    if (req.query.format === 'csv') {
+        const csv = [
+            CONSENT_CSV_COLUMNS.map(([name]) => name).join(','),
+            ...events.map(event => CONSENT_CSV_COLUMNS.map(([, value]) => csvCell(value(event))).join(','))
+        ].join('\r\n');
+        res.set('Content-Disposition', `attachment; filename="consent-${number}.csv"`);
+        return res.type('text/csv').send(csv);
+    }
+    
+    if (req.query.download === 'true') {
+        res.set('Content-Disposition', `attachment; filename="consent-${number}.json"`);
+    }
+    res.json({
+        number,
+        generatedAt: new Date().toISOString(),
+        blocked: optouts.length > 0,
+        optouts,
+        pendingConfirmations: readJSON("confirmations").filter(c => c.number === number),
+        events
+    });
+});
+
+// ========== DOUBLE OPT-IN ==========
+// With doubleOptIn on a config, an opt-in keyword from a number that is opted
+// out doesn't opt it back in straight away. The number gets a confirmation SMS,
+// and only a reply with the confirm phrase (YES by default) within
+// confirmWindowHours completes the opt-in. Pending confirmations are kept in
+// the "confirmations" data set until confirmed, cancelled (by an opt-out or
+// the API) or expired; each outcome is recorded in history.
+
+const DEFAULT_CONFIRM_WINDOW_HOURS = 24;
+const MAX_CONFIRM_WINDOW_HOURS = 168;
+const CONFIRMATION_CHECK_MS = 60 * 1000;
+
+let processingConfirmations = false;
+
+function validateDoubleOptInSettings(settings) {
+    const hours = settings.confirmWindowHours;
+    if (hours !== undefined && hours !== null &&
+        !(typeof hours === 'number' && hours > 0 && hours <= MAX_CONFIRM_WINDOW_HOURS)) {
+        return `confirmWindowHours must be a number above 0 and at most ${MAX_CONFIRM_WINDOW_HOURS}`;
+    }
+    if (settings.confirmPhrase !== undefined && (typeof settings.confirmPhrase !== 'string' ||
+        (settings.confirmPhrase.trim() && !keywords.normalizeKeywordText(settings.confirmPhrase)))) {
+        return 'confirmPhrase must be text such as YES';
+    }
+    if (!settings.doubleOptIn) return null;
+    if (!settings.brandName) return 'brandName is required for double opt-in';
+    if (settings.confirmReply === '') return 'confirmReply cannot be empty with double opt-in';
+    return null;
+}
 
-// Bulk send SMS with blocklist checking
-app.post('/api/send/bulk', async (req, res) => {
-    const credentials = getActiveCredentials();
-    
-    if (!credentials.apiKey || !credentials.apiSecret) {
-        return res.status(400).json({ error: 'API credentials not configured' });
+// Stored form of the double opt-in fields
+function pickDoubleOptIn(settings) {
+    return {
+        doubleOptIn: !!settings.doubleOptIn,
+        confirmPhrase: settings.confirmPhrase || keywords.DEFAULT_CONFIRM_PHRASE,
+        confirmWindowHours: settings.confirmWindowHours || null
+    };
+}
+
+function getConfirmWindowHours(optoutConfig) {
+    return optoutConfig.confirmWindowHours || DEFAULT_CONFIRM_WINDOW_HOURS;
+}
+
+function saveConfirmations(confirmations = readJSON("confirmations")) {
+    return writeData('confirmations', confirmations);
+}
+
+// Start (or restart) the confirmation window for a number; not saved
+function requestConfirmation(optoutConfig, number, { keyword, requestedBy, channel = 'sms' }) {
+    const confirmations = readJSON("confirmations");
+    const now = new Date();
+    let confirmation = confirmations.find(c => c.number === number && c.configId === optoutConfig.id);
+    if (!confirmation) {
+        confirmation = {
+            id: crypto.randomUUID(),
+            number: number,
+            configId: optoutConfig.id,
+            receivedOn: optoutConfig.optoutNumber
+        };
+        confirmations.push(confirmation);
     }
+    Object.assign(confirmation, {
+        keyword: keyword,
+        requestedBy: requestedBy,
+        channel: channel,
+        requestedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + getConfirmWindowHours(optoutConfig) * 60 * 60 * 1000).toISOString()
+    });
+    return confirmation;
+}
+
+// Drop confirmations matching `predicate` and record why in history. `saved` is
+// the history write (null if nothing ended); the confirmations are not saved.
+function endConfirmations(predicate, action, timestamp, consent) {
+    const confirmations = readJSON("confirmations");
+    const ended = confirmations.filter(predicate);
+    if (ended.length === 0) return { ended, saved: null };
     
-    const { recipients, from, text } = req.body;
+    ended.forEach(c => confirmations.splice(confirmations.indexOf(c), 1));
+    const saved = historyLog.add(ended.map(c => ({
+        number: c.number,
+        action: action,
+        timestamp: timestamp,
+        receivedOn: c.receivedOn,
+        configId: c.configId,
+        confirmationId: c.id,
+        requestedAt: c.requestedAt,
+        consent: consent
+    })));
+    return { ended, saved };
+}
+
+async function processConfirmations(now = new Date()) {
+    if (processingConfirmations) return;
+    processingConfirmations = true;
     
-    if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
-        return res.status(400).json({ error: 'Missing or invalid recipients array' });
+    try {
+        const { ended: expired, saved } = endConfirmations(c => new Date(c.expiresAt) <= now, 'optin-expired', now.toISOString(), systemConsent());
+        if (expired.length > 0) {
+            expired.forEach(c => addLog(`Opt-in confirmation for ${c.number} expired`));
+            await saveAll(saveConfirmations(), saved);
+        }
+    } catch (error) {
+        addLog(`Confirmation processing error: ${error.message}`, 'error');
+    } finally {
+        processingConfirmations = false;
     }
-    
-    if (!from || !text) {
-        return res.status(400).json({ error: 'Missing required fields: from, text' });
+}
+
+function startConfirmationProcessor() {
+    processConfirmations();
+    setInterval(processConfirmations, CONFIRMATION_CHECK_MS);
+}
+
+// Pending confirmations, soonest to expire first
+app.get('/api/confirmations', requireScope('optout:read'), (req, res) => {
+    const confirmations = [...readJSON("confirmations")].sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+    res.json(req.query.number ? confirmations.filter(c => c.number === parseNumber(req.query.number)) : confirmations);
+});
+
+// Cancel a pending confirmation; a later YES then does nothing
+app.delete('/api/confirmations/:id', requireScope('optout:write'), async (req, res) => {
+    const { ended, saved } = endConfirmations(c => c.id === req.params.id, 'optin-cancelled', new Date().toISOString(), apiConsent(req));
+    if (ended.length === 0) {
+        return res.status(404).json({ error: 'Confirmation not found' });
     }
     
-    const optouts = readJSON("optouts");
-    const results = {
-        sent: [],
-        blocked: [],
-        failed: []
-    };
-    
-    for (const recipient of recipients) {
-        const cleanTo = normalizeNumber(recipient);
-        
-        if (!cleanTo) {
-            results.failed.push({ to: recipient, error: 'Invalid number' });
-            continue;
-        }
-        
-        // Check if blocked
-        const isBlocked = optouts.some(o => {
-            const optoutNumber = normalizeNumber(typeof o === 'string' ? o : o.number);
-            return optoutNumber === cleanTo;
-        });
-        
-        if (isBlocked) {
-            results.blocked.push({ to: cleanTo, reason: 'opted-out' });
-            continue;
-        }
-        
-        // Send via Vonage
-        try {
-            const response = await fetch('https://rest.nexmo.com/sms/json', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    api_key: credentials.apiKey,
-                    api_secret: credentials.apiSecret,
-                    to: cleanTo,
-                    from: normalizeNumber(from),
-                    text: text
-                })
-            });
-            
-            const data = await response.json();
-            
-            if (data.messages && data.messages[0]) {
-                const msg = data.messages[0];
-                if (msg.status === '0') {
-                    results.sent.push({ to: cleanTo, messageId: msg['message-id'] });
-                } else {
-                    results.failed.push({ to: cleanTo, error: msg['error-text'], errorCode: msg.status });
-                }
-            } else {
-                results.failed.push({ to: cleanTo, error: 'Unexpected response' });
-            }
-        } catch (error) {
-            results.failed.push({ to: cleanTo, error: error.message });
-        }
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
+    if (!await saveAll(saveConfirmations(), saved)) {
+        return sendStorageError(res);
     }
     
-    res.json({
-        summary: {
-            total: recipients.length,
-            sent: results.sent.length,
-            blocked: results.blocked.length,
-            failed: results.failed.length
-        },
-        results
-    });
+    addLog(`Opt-in confirmation for ${ended[0].number} cancelled`);
+    res.json({ success: true });
 });
 
-// Helper to normalize phone numbers for comparison
-function normalizeNumber(num) {
-    if (!num) return '';
-    return num.replace(/[^0-9]/g, '');
-}
-
 // Shared handler for inbound SMS
-function handleInboundSMS(req, res) {
+async function handleInboundSMS(req, res) {
     const rawData = req.method === 'GET' ? req.query : req.body;
     addLog(`WEBHOOK ${req.method} /webhooks/inbound-sms received`);
     addLog(`Raw data: ${JSON.stringify(rawData)}`);
     
-    const config = readJSON("config");
-    const optouts = readJSON("optouts");
-    const history = readJSON("history");
-    
     // Get data from query (GET) or body (POST)
     const data = rawData;
     
-    const from = data.msisdn || data.from;
-    const to = data.to;
-    const text = (data.text || data.message || '').trim().toUpperCase();
+    return processInbound(req, res, rawData, {
+        channel: 'sms',
+        from: data.msisdn || data.from,
+        to: data.to,
+        text: data.text || data.message || '',
+        messageId: data.messageId || data['message-id'] || null,
+        receivedAt: data['message-timestamp'] || null
+    });
+}
+
+// Inbound webhook of a Messages API application (SMS, MMS, WhatsApp, RCS)
+async function handleInboundMessage(req, res) {
+    addLog('WEBHOOK POST /webhooks/inbound-message received');
+    addLog(`Raw data: ${JSON.stringify(req.body)}`);
+    
+    const inbound = messagesApi.parseInbound(req.body);
+    if (!inbound || !messagesApi.CHANNELS.includes(inbound.channel)) {
+        addLog(`Ignoring inbound message on unsupported channel ${(req.body && req.body.channel) || '(none)'}`, 'warn');
+        return res.sendStatus(200);
+    }
+    return processInbound(req, res, req.body, inbound);
+}
+
+// What an inbound message does under a config, worked out without changing
+// anything: the keyword match, whether it opts out, opts in (or has to confirm
+// first) or asks for HELP, the scopes and channels it covers and the reply
+function classifyInbound(matchingConfig, inbound, normalizedFrom, timestamp) {
+    const { channel } = inbound;
+    
+    // Classify against the config's phrases, keyword packs and regexes
+    const match = keywords.classifyKeyword(inbound.text, matchingConfig);
+    
+    // A reply confirming a pending double opt-in comes before keyword handling,
+    // as YES is also an opt-in keyword
+    const pending = readJSON("confirmations").find(c => c.number === normalizedFrom && c.configId === matchingConfig.id);
+    const confirmPhrase = pending && new Date(pending.expiresAt) > new Date(timestamp)
+        ? keywords.matchesConfirmPhrase(inbound.text, matchingConfig)
+        : null;
+    const isConfirmation = !!confirmPhrase;
+    
+    const isOptout = !isConfirmation && match.type === 'optout';
+    const isOptin = !isConfirmation && match.type === 'optin';
+    const isHelp = !isConfirmation && match.type === 'help';
+    // A confirmation lifts the scopes of the keyword that requested it
+    const optinScopes = getOptinScopes(matchingConfig, isConfirmation ? pending.keyword : match.keyword);
+    // Opt-outs and opt-ins cover the channel they arrive on plus the config's optoutChannels
+    const channels = getOptoutChannels(matchingConfig, channel);
+    // Opting back in needs confirming first, unless there's nothing to undo
+    const needsConfirmation = isOptin && !!matchingConfig.doubleOptIn && !!optoutStore.get(normalizedFrom, optinScopes, channel);
+    
+    return {
+        match,
+        pending,
+        confirmPhrase,
+        isConfirmation,
+        isOptout,
+        isOptin,
+        isHelp,
+        needsConfirmation,
+        optoutScope: OPTOUT_ALL_KEYWORDS.includes(match.keyword) ? GLOBAL_SCOPE : getConfigScope(matchingConfig),
+        optinScopes,
+        channels,
+        // A confirmation lifts the channels of the request it confirms
+        optinChannels: isConfirmation ? getOptoutChannels(matchingConfig, pending.channel || 'sms') : channels,
+        replyType: isOptout ? 'optout' : needsConfirmation ? 'confirm' : isOptin || isConfirmation ? 'optin' : isHelp ? 'help' : null
+    };
+}
+
+// What the simulator shows for an inbound message before it is applied
+function describeInbound(matchingConfig, inbound, normalizedFrom, timestamp) {
+    const decision = classifyInbound(matchingConfig, inbound, normalizedFrom, timestamp);
+    const { match, isOptout, isOptin, isConfirmation, isHelp, needsConfirmation, replyType } = decision;
+    const optsIn = (isOptin && !needsConfirmation) || isConfirmation;
+    const senderScopes = getScopesForSender(matchingConfig.optoutNumber);
+    const blockedBefore = !!optoutStore.get(normalizedFrom, senderScopes, inbound.channel);
+    // Opting in leaves opt-outs in other scopes, e.g. a STOPALL, in place
+    const blockedOutside = !!optoutStore.get(normalizedFrom, senderScopes.filter(scope => !decision.optinScopes.includes(scope)), inbound.channel);
+    const template = replyType && (matchingConfig.autoReply || replyType === 'confirm') ? getReplyTemplate(matchingConfig, replyType) : null;
+    
+    return {
+        number: normalizedFrom,
+        action: isOptout ? 'optout' : needsConfirmation ? 'optin-requested' : isConfirmation ? 'optin-confirmed' : isOptin ? 'optin' : isHelp ? 'help' : 'none',
+        match: match,
+        ...(isOptout && { scope: decision.optoutScope, channels: decision.channels || 'all' }),
+        ...(optsIn && { scopes: decision.optinScopes, channels: decision.optinChannels || 'all' }),
+        blockedBefore: blockedBefore,
+        blockedAfter: isOptout ? true : optsIn ? blockedOutside : blockedBefore,
+        reply: template ? {
+            type: replyType,
+            text: renderReplyTemplate(template, matchingConfig),
+            throttled: isReplyThrottled(normalizedFrom, replyType, new Date(timestamp).getTime())
+        } : null
+    };
+}
+
+// Keyword handling for an inbound message on any channel. `optoutConfig` is
+// the config the simulator runs it against; simulated messages come from a
+// logged-in user rather than Vonage, so they carry no webhook signature.
+async function processInbound(req, res, rawData, inbound, { optoutConfig } = {}) {
+    const config = readJSON("config");
     
-    addLog(`Parsed: from=${from}, to=${to}, text="${text}"`);
+    const { channel, from, to } = inbound;
+    const text = inbound.text.trim().toUpperCase();
+    
+    addLog(`Parsed: channel=${channel}, from=${from}, to=${to}, text="${text}"`);
     
     if (!from || !text) {
         addLog('Missing from or text - ignoring', 'warn');
@@ -880,176 +4189,385 @@ function handleInboundSMS(req, res) {
     
     const timestamp = new Date().toISOString();
     const normalizedTo = normalizeNumber(to);
-    const normalizedFrom = normalizeNumber(from);
     
-    addLog(`Normalized: from=${normalizedFrom}, to=${normalizedTo}`);
     addLog(`Available configs: ${JSON.stringify(config.optoutConfigs.map(c => ({ number: c.optoutNumber, normalized: normalizeNumber(c.optoutNumber), phrase: c.optoutPhrase })))}`);
     
-    // Find matching config for this number
-    const matchingConfig = config.optoutConfigs.find(c => {
-        const configNumber = normalizeNumber(c.optoutNumber);
-        return configNumber === normalizedTo;
-    });
+    // Find matching config for this number (or RCS agent ID)
+    const matchingConfig = optoutConfig || config.optoutConfigs.find(c => senderKey(c.optoutNumber) === senderKey(to));
     
     if (!matchingConfig) {
         addLog(`No config found for number ${to} (normalized: ${normalizedTo})`, 'warn');
         return res.sendStatus(200);
     }
     
-    addLog(`Matched config: optoutPhrase="${matchingConfig.optoutPhrase}", optinPhrase="${matchingConfig.optinPhrase}"`);
+    const normalizedFrom = normalizeNumber(from, getDefaultCountry(matchingConfig));
+    addLog(`Normalized: from=${normalizedFrom}, to=${normalizedTo}`);
     
-    // Check if message matches opt-out phrase (flexible matching)
-    const optoutPhrases = matchingConfig.optoutPhrase.toUpperCase().split(',').map(p => p.trim());
-    const optinPhrases = matchingConfig.optinPhrase.toUpperCase().split(',').map(p => p.trim());
+    const signatureError = !optoutConfig && verifyWebhookSignature(req, rawData, matchingConfig);
+    if (signatureError) {
+        addLog(`REJECTED inbound webhook from ${from} to ${to}: ${signatureError}`, 'warn');
+        return res.sendStatus(401);
+    }
     
-    addLog(`Checking "${text}" against optout phrases: ${JSON.stringify(optoutPhrases)}`);
+    addLog(`Matched config: optoutPhrase="${matchingConfig.optoutPhrase}", optinPhrase="${matchingConfig.optinPhrase}"`);
     
-    const isOptout = optoutPhrases.some(phrase => text === phrase || text.startsWith(phrase + ' '));
-    const isOptin = optinPhrases.some(phrase => text === phrase || text.startsWith(phrase + ' '));
+    const {
+        match, pending, confirmPhrase, isConfirmation, isOptout, isOptin, isHelp,
+        needsConfirmation, optoutScope: scope, optinScopes, channels, optinChannels, replyType
+    } = classifyInbound(matchingConfig, inbound, normalizedFrom, timestamp);
+    if (match.type) {
+        addLog(`Classified "${match.normalizedText}" as ${match.type} (keyword ${match.keyword} via ${match.matchedBy})`);
+    }
     
     if (isOptout) {
         // Add to opt-out list if not already there
-        const optoutEntry = { number: normalizedFrom, configId: matchingConfig.id };
-        const exists = optouts.some(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedFrom);
-        if (!exists) {
-            optouts.push(optoutEntry);
-            writeJSON("optouts", optouts);
-            addLog(`SUCCESS: Added ${normalizedFrom} to opt-out list`);
+        const optoutEntry = { number: normalizedFrom, configId: matchingConfig.id, scope, ...(channels && { channels }) };
+        const added = optoutStore.add(optoutEntry);
+        if (added) {
+            addLog(`SUCCESS: Added ${normalizedFrom} to opt-out list (${scope}, ${channels ? channels.join('/') : 'all channels'})`);
         } else {
-            addLog(`${normalizedFrom} already in opt-out list`);
+            addLog(`${normalizedFrom} already in opt-out list (${scope})`);
         }
         
         // Add to history
-        history.push({
+        const recorded = historyLog.add({
             number: normalizedFrom,
             action: 'optout',
             timestamp: timestamp,
             receivedOn: to,
-            configId: matchingConfig.id
+            configId: matchingConfig.id,
+            scope: scope,
+            channel: channel,
+            channels: channels || 'all',
+            keyword: match.keyword,
+            consent: inboundConsent(inbound, match.keyword, timestamp)
+        });
+        // Opting out withdraws any opt-in waiting to be confirmed
+        const cancelled = endConfirmations(c => c.number === normalizedFrom, 'optin-cancelled', timestamp,
+            inboundConsent(inbound, match.keyword, timestamp));
+        
+        // A 5xx makes Vonage retry the webhook. The opt-outs are saved even when
+        // the number was already listed: on a retry the earlier write may have failed.
+        if (!await saveAll(saveOptouts(), cancelled.ended.length > 0 && saveConfirmations(), recorded, cancelled.saved)) {
+            addLog(`Failed to persist opt-out for ${normalizedFrom}`, 'error');
+            return res.sendStatus(500);
+        }
+    }
+    else if (needsConfirmation) {
+        const confirmation = requestConfirmation(matchingConfig, normalizedFrom, { keyword: match.keyword, requestedBy: channel, channel });
+        addLog(`Opt-in from ${normalizedFrom} waiting for confirmation until ${confirmation.expiresAt}`);
+        
+        const recorded = historyLog.add({
+            number: normalizedFrom,
+            action: 'optin-requested',
+            timestamp: timestamp,
+            receivedOn: to,
+            configId: matchingConfig.id,
+            scope: getConfigScope(matchingConfig),
+            channel: channel,
+            keyword: match.keyword,
+            confirmationId: confirmation.id,
+            expiresAt: confirmation.expiresAt,
+            consent: inboundConsent(inbound, match.keyword, timestamp)
         });
-        writeJSON("history", history);
-    }
-    // Check if message matches opt-in phrase
-    else if (isOptin) {
-        // Remove from opt-out list
-        const index = optouts.findIndex(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedFrom);
-        if (index > -1) {
-            optouts.splice(index, 1);
-            writeJSON("optouts", optouts);
-            addLog(`SUCCESS: Removed ${normalizedFrom} from opt-out list`);
+        
+        if (!await saveAll(saveConfirmations(), recorded)) {
+            addLog(`Failed to persist opt-in request for ${normalizedFrom}`, 'error');
+            return res.sendStatus(500);
+        }
+    }
+    // Check if message matches opt-in phrase, or confirms a pending one
+    else if (isOptin || isConfirmation) {
+        // Lift the opt-outs of this config's scopes on these channels (every scope for STARTALL)
+        const removed = optoutStore.remove(normalizedFrom, optinScopes, optinChannels || undefined).length > 0;
+        if (removed) {
+            addLog(`SUCCESS: Removed ${normalizedFrom} from opt-out list (${optinScopes.join(', ')}; ${optinChannels ? optinChannels.join('/') : 'all channels'})`);
+        }
+        if (isConfirmation) {
+            const confirmations = readJSON("confirmations");
+            confirmations.splice(confirmations.indexOf(pending), 1);
+            addLog(`Opt-in from ${normalizedFrom} confirmed`);
         }
         
         // Add to history
-        history.push({
+        const recorded = historyLog.add({
             number: normalizedFrom,
             action: 'optin',
             timestamp: timestamp,
             receivedOn: to,
-            configId: matchingConfig.id
+            configId: matchingConfig.id,
+            scope: getConfigScope(matchingConfig),
+            channel: channel,
+            channels: optinChannels || 'all',
+            keyword: isConfirmation ? pending.keyword : match.keyword,
+            ...(isConfirmation && { confirmationId: pending.id, requestedAt: pending.requestedAt, confirmedAt: timestamp }),
+            // For a confirmation this is the YES reply; the request has its own entry
+            consent: inboundConsent(inbound, isConfirmation ? confirmPhrase : match.keyword, timestamp)
         });
-        writeJSON("history", history);
+        
+        if (!await saveAll(saveOptouts(), isConfirmation && saveConfirmations(), recorded)) {
+            addLog(`Failed to persist opt-in for ${normalizedFrom}`, 'error');
+            return res.sendStatus(500);
+        }
+    } else if (isHelp) {
+        addLog(`HELP request from ${normalizedFrom}`);
     } else {
         addLog(`Message "${text}" does not match any opt-out/opt-in phrases`);
     }
     
     res.sendStatus(200);
+    
+    // Reply after acknowledging so a slow Vonage API can't cause webhook retries
+    if (replyType) {
+        // Replies go back on the channel the message came in on
+        await sendAutoReply(matchingConfig, replyType, normalizedFrom, channel === 'rcs' ? to : normalizedTo, channel);
+    }
 }
 
 // Handle incoming SMS webhook - using same path as working project
 app.get('/webhooks/inbound-sms', handleInboundSMS);
 app.post('/webhooks/inbound-sms', handleInboundSMS);
+app.post('/webhooks/inbound-message', handleInboundMessage);
 
 // Handle delivery receipts
-app.post('/webhooks/status', (req, res) => {
-    console.log('[STATUS] Delivery receipt:', req.body);
+// Delivery receipts: `msisdn` is the recipient and `to` the sending number
+async function handleDeliveryReceipt(req, res) {
+    const receipt = req.method === 'GET' ? req.query : req.body;
+    
+    // Delivery receipts come back on the sending number's config
+    const matchingConfig = findConfigForNumber(receipt.to || receipt.from);
+    
+    const signatureError = verifyWebhookSignature(req, receipt, matchingConfig);
+    if (signatureError) {
+        addLog(`REJECTED status webhook for ${receipt.msisdn || receipt.to}: ${signatureError}`, 'warn');
+        return res.sendStatus(401);
+    }
+    
+    const messageId = receipt.messageId || receipt['message-id'];
+    const message = messageId ? findMessage(messageId) : null;
+    if (!message) {
+        // Sent from elsewhere on the same account, or before the log existed
+        addLog(`Delivery receipt for unknown message ${messageId || '(none)'}`, 'warn');
+        return res.sendStatus(200);
+    }
+    
+    const status = String(receipt.status || '').toLowerCase();
+    const errorCode = receipt['err-code'] && receipt['err-code'] !== '0' ? String(receipt['err-code']) : null;
+    
+    message.status = DELIVERY_STATUSES.includes(status) ? status : 'unknown';
+    message.errorCode = errorCode;
+    message.errorText = errorCode ? (DLR_ERROR_CODES[errorCode] || 'Unknown error') : null;
+    if (receipt.price) message.price = receipt.price;
+    if (receipt['network-code']) message.network = receipt['network-code'];
+    message.statusAt = receipt['message-timestamp'] || null;
+    message.updatedAt = new Date().toISOString();
+    
+    // Vonage retries receipts that don't get a 200, so only acknowledge once saved
+    if (!await messageLog.update(message)) return res.sendStatus(500);
+    
+    addLog(`Delivery receipt for ${messageId}: ${message.status}${errorCode ? ` (error ${errorCode}: ${message.errorText})` : ''}`, errorCode ? 'warn' : 'info');
     res.sendStatus(200);
-});
+}
+
+app.post('/webhooks/status', handleDeliveryReceipt);
+app.get('/webhooks/status', handleDeliveryReceipt);
+
+// Message status webhook of the Messages API: `from` is the sending number
+async function handleMessageStatus(req, res) {
+    const update = messagesApi.parseStatus(req.body);
+    if (!update) {
+        addLog('Message status webhook without a message_uuid', 'warn');
+        return res.sendStatus(200);
+    }
+    
+    const matchingConfig = findConfigForNumber(req.body.from);
+    const signatureError = verifyWebhookSignature(req, req.body, matchingConfig);
+    if (signatureError) {
+        addLog(`REJECTED message status webhook for ${req.body.to}: ${signatureError}`, 'warn');
+        return res.sendStatus(401);
+    }
+    
+    const message = findMessage(update.messageId);
+    if (!message) {
+        addLog(`Message status for unknown message ${update.messageId}`, 'warn');
+        return res.sendStatus(200);
+    }
+    
+    message.status = MESSAGE_STATUSES.includes(update.status) ? update.status : 'unknown';
+    message.errorCode = update.errorCode;
+    message.errorText = update.errorText;
+    if (update.price) message.price = update.price;
+    message.statusAt = update.timestamp;
+    message.updatedAt = new Date().toISOString();
+    
+    if (!await messageLog.update(message)) return res.sendStatus(500);
+    
+    addLog(`Message status for ${update.messageId} (${update.channel || message.channel}): ${message.status}${update.errorCode ? ` (error ${update.errorCode}: ${update.errorText})` : ''}`, update.errorCode ? 'warn' : 'info');
+    res.sendStatus(200);
+}
+
+app.post('/webhooks/message-status', handleMessageStatus);
 
 // Get all opted-out numbers
-app.get('/api/optouts', (req, res) => {
-    const optouts = readJSON("optouts");
+app.get('/api/optouts', requireScope('optout:read'), (req, res) => {
+    const { scope, detailed } = req.query;
+    let entries = optoutStore.list().map(o => typeof o === 'string' ? { number: o } : o);
+    if (scope) {
+        entries = entries.filter(o => scopeOf(o) === scope);
+    }
+    
+    if (detailed === 'true') {
+        return res.json(entries.map(o => ({ ...o, scope: scopeOf(o) })));
+    }
+    
     // Return just the numbers for backward compatibility
-    const numbers = optouts.map(o => typeof o === 'string' ? o : o.number);
-    res.json(numbers);
+    res.json([...new Set(entries.map(o => o.number))]);
 });
 
 // Manual opt-out
-app.post('/api/optout', (req, res) => {
-    const { number } = req.body;
-    const normalizedNum = normalizeNumber(number);
-    const optouts = readJSON("optouts");
-    const history = readJSON("history");
-    
-    const exists = optouts.some(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedNum);
-    if (!exists) {
-        optouts.push({ number: normalizedNum, configId: 'manual', originalNumber: number });
-        writeJSON("optouts", optouts);
-        
-        history.push({
-            number: normalizedNum,
-            action: 'optout',
-            timestamp: new Date().toISOString(),
-            receivedOn: 'manual'
-        });
-        writeJSON("history", history);
+app.post('/api/optout', requireScope('optout:write'), async (req, res) => {
+    // Without channels the number is blocked on every channel
+    const { number, scope = GLOBAL_SCOPE, channels } = req.body;
+    const normalizedNum = parseNumber(number);
+    if (!normalizedNum) {
+        return res.status(400).json({ error: 'Invalid phone number', number });
+    }
+    const scopeError = validateScope(scope) || validateEntryChannels(channels);
+    if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+    }
+    const added = optoutStore.add({ number: normalizedNum, configId: 'manual', originalNumber: number, scope, ...(channels && { channels }) });
+    const recorded = added && historyLog.add({
+        number: normalizedNum,
+        action: 'optout',
+        timestamp: new Date().toISOString(),
+        receivedOn: 'manual',
+        scope: scope,
+        channels: channels || 'all',
+        consent: apiConsent(req)
+    });
+    
+    // Saved even when nothing changed: a retry after a failed write finds the
+    // number already listed, but the list on disk doesn't have it yet
+    if (!await saveAll(saveOptouts(), recorded)) {
+        return sendStorageError(res);
     }
     
     res.json({ success: true });
 });
 
 // Manual opt-in
-app.post('/api/optin', (req, res) => {
-    const { number } = req.body;
-    const normalizedNum = normalizeNumber(number);
-    let optouts = readJSON("optouts");
-    const history = readJSON("history");
+app.post('/api/optin', requireScope('optout:write'), async (req, res) => {
+    // Without a scope or channels the number is opted back in everywhere
+    const { number, scope, configId, channels } = req.body;
+    const normalizedNum = parseNumber(number);
+    if (!normalizedNum) {
+        return res.status(400).json({ error: 'Invalid phone number', number });
+    }
+    const scopeError = validateScope(scope) || validateEntryChannels(channels);
+    if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+    }
+    // With a config, the opt-in can go through its double opt-in instead: the
+    // number is texted and stays blocked until it replies with the confirm phrase
+    const optoutConfig = configId ? readJSON("config").optoutConfigs.find(c => c.id === configId) : null;
+    if (configId && !optoutConfig) {
+        return res.status(404).json({ error: 'Config not found' });
+    }
+    const confirm = req.body.confirm === undefined ? !!(optoutConfig && optoutConfig.doubleOptIn) : !!req.body.confirm;
+    if (confirm && !optoutConfig) {
+        return res.status(400).json({ error: 'configId is required to confirm an opt-in' });
+    }
     
-    const index = optouts.findIndex(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedNum);
-    if (index > -1) {
-        optouts.splice(index, 1);
-        writeJSON("optouts", optouts);
-        
-        history.push({
+    if (confirm && optoutStore.get(normalizedNum, scope ? [scope] : getScopesForSender(optoutConfig.optoutNumber))) {
+        const confirmation = requestConfirmation(optoutConfig, normalizedNum, { keyword: null, requestedBy: 'api' });
+        const recorded = historyLog.add({
             number: normalizedNum,
-            action: 'optin',
-            timestamp: new Date().toISOString(),
-            receivedOn: 'manual'
+            action: 'optin-requested',
+            timestamp: confirmation.requestedAt,
+            receivedOn: 'manual',
+            configId: optoutConfig.id,
+            scope: getConfigScope(optoutConfig),
+            confirmationId: confirmation.id,
+            expiresAt: confirmation.expiresAt,
+            consent: apiConsent(req)
+        });
+        
+        if (!await saveAll(saveConfirmations(), recorded)) {
+            return sendStorageError(res);
+        }
+        addLog(`Manual opt-in for ${normalizedNum} waiting for confirmation until ${confirmation.expiresAt}`);
+        
+        res.status(202).json({
+            success: true,
+            status: 'pending',
+            confirmationId: confirmation.id,
+            expiresAt: confirmation.expiresAt
         });
-        writeJSON("history", history);
+        
+        // Texted after answering, so the dashboard doesn't wait out the send's retries
+        sendAutoReply(optoutConfig, 'confirm', normalizedNum, normalizeNumber(optoutConfig.optoutNumber))
+            .catch(error => addLog(`confirm reply to ${normalizedNum} failed: ${error.message}`, 'error'));
+        return;
+    }
+    
+    const removed = optoutStore.remove(normalizedNum, scope && [scope], channels).length > 0;
+    const recorded = removed && historyLog.add({
+        number: normalizedNum,
+        action: 'optin',
+        timestamp: new Date().toISOString(),
+        receivedOn: 'manual',
+        scope: scope || 'all',
+        channels: channels || 'all',
+        consent: apiConsent(req)
+    });
+    
+    // Saved even when nothing changed, like opt-outs
+    if (!await saveAll(saveOptouts(), recorded)) {
+        return sendStorageError(res);
     }
     
     res.json({ success: true });
 });
 
 // Bulk opt-out - add multiple numbers at once
-app.post('/api/optout/bulk', (req, res) => {
-    const { numbers } = req.body;
+app.post('/api/optout/bulk', requireScope('optout:write'), async (req, res) => {
+    const { numbers, scope = GLOBAL_SCOPE } = req.body;
     
     if (!numbers || !Array.isArray(numbers) || numbers.length === 0) {
         return res.status(400).json({ error: 'Missing or invalid numbers array' });
     }
     
-    const optouts = readJSON("optouts");
-    const history = readJSON("history");
+    const scopeError = validateScope(scope) || validateBulkSource(req.body.source);
+    if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+    }
+    const consent = apiConsent(req, { source: req.body.source || 'bulk-api', reference: req.body.reference });
+    
+    const history = [];
     const timestamp = new Date().toISOString();
     
     const results = {
         added: [],
-        alreadyBlocked: []
+        alreadyBlocked: [],
+        invalid: []
     };
     
     for (const number of numbers) {
-        const normalizedNum = normalizeNumber(number);
-        if (!normalizedNum) continue;
+        const normalizedNum = parseNumber(number);
+        if (!normalizedNum) {
+            results.invalid.push(number);
+            continue;
+        }
         
-        const exists = optouts.some(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedNum);
-        if (!exists) {
-            optouts.push({ number: normalizedNum, configId: 'api', originalNumber: number });
+        if (optoutStore.add({ number: normalizedNum, configId: 'api', originalNumber: number, scope })) {
             history.push({
                 number: normalizedNum,
                 action: 'optout',
                 timestamp: timestamp,
-                receivedOn: 'api'
+                receivedOn: 'api',
+                scope: scope,
+                consent: consent
             });
             results.added.push(normalizedNum);
         } else {
@@ -1057,8 +4575,9 @@ app.post('/api/optout/bulk', (req, res) => {
         }
     }
     
-    writeJSON("optouts", optouts);
-    writeJSON("history", history);
+    if (!await saveAll(saveOptouts(), history.length > 0 && historyLog.add(history))) {
+        return sendStorageError(res);
+    }
     
     addLog(`Bulk opt-out: added ${results.added.length} numbers via API`);
     
@@ -1067,41 +4586,57 @@ app.post('/api/optout/bulk', (req, res) => {
         summary: {
             total: numbers.length,
             added: results.added.length,
-            alreadyBlocked: results.alreadyBlocked.length
+            alreadyBlocked: results.alreadyBlocked.length,
+            invalid: results.invalid.length
         },
         results
     });
 });
 
 // Bulk opt-in - remove multiple numbers at once
-app.post('/api/optin/bulk', (req, res) => {
-    const { numbers } = req.body;
+app.post('/api/optin/bulk', requireScope('optout:write'), async (req, res) => {
+    // Without a scope the numbers are opted back in everywhere
+    const { numbers, scope } = req.body;
     
     if (!numbers || !Array.isArray(numbers) || numbers.length === 0) {
         return res.status(400).json({ error: 'Missing or invalid numbers array' });
     }
     
-    let optouts = readJSON("optouts");
-    const history = readJSON("history");
+    const scopeError = validateScope(scope) || validateBulkSource(req.body.source);
+    if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+    }
+    const scopes = scope && [scope];
+    const consent = apiConsent(req, { source: req.body.source || 'bulk-api', reference: req.body.reference });
+    
+    const history = [];
     const timestamp = new Date().toISOString();
     
     const results = {
         removed: [],
-        notFound: []
+        notFound: [],
+        invalid: []
     };
     
+    // Work out what to remove first, then drop it from the list in one pass
+    const toRemove = new Set();
+    
     for (const number of numbers) {
-        const normalizedNum = normalizeNumber(number);
-        if (!normalizedNum) continue;
+        const normalizedNum = parseNumber(number);
+        if (!normalizedNum) {
+            results.invalid.push(number);
+            continue;
+        }
         
-        const index = optouts.findIndex(o => normalizeNumber(typeof o === 'string' ? o : o.number) === normalizedNum);
-        if (index > -1) {
-            optouts.splice(index, 1);
+        if (optoutStore.has(normalizedNum, scopes) && !toRemove.has(normalizedNum)) {
+            toRemove.add(normalizedNum);
             history.push({
                 number: normalizedNum,
                 action: 'optin',
                 timestamp: timestamp,
-                receivedOn: 'api'
+                receivedOn: 'api',
+                scope: scope || 'all',
+                consent: consent
             });
             results.removed.push(normalizedNum);
         } else {
@@ -1109,8 +4644,10 @@ app.post('/api/optin/bulk', (req, res) => {
         }
     }
     
-    writeJSON("optouts", optouts);
-    writeJSON("history", history);
+    optoutStore.remove([...toRemove], scopes);
+    if (!await saveAll(saveOptouts(), history.length > 0 && historyLog.add(history))) {
+        return sendStorageError(res);
+    }
     
     addLog(`Bulk opt-in: removed ${results.removed.length} numbers via API`);
     
@@ -1119,7 +4656,8 @@ app.post('/api/optin/bulk', (req, res) => {
         summary: {
             total: numbers.length,
             removed: results.removed.length,
-            notFound: results.notFound.length
+            notFound: results.notFound.length,
+            invalid: results.invalid.length
         },
         results
     });
@@ -1127,30 +4665,67 @@ app.post('/api/optin/bulk', (req, res) => {
 
 // ========== CONFIGURATION API ==========
 
+// Optional per-type keyword regexes (optoutRegex, optinRegex, helpRegex)
+const KEYWORD_REGEX_FIELDS = keywords.KEYWORD_TYPES.map(type => `${type}Regex`);
+
 // Get all configurations
-app.get('/api/configs', (req, res) => {
+app.get('/api/configs', requireScope('admin'), (req, res) => {
     const config = readJSON("config");
     res.json(config.optoutConfigs || []);
 });
 
 // Add new configuration
-app.post('/api/configs', (req, res) => {
-    const { optoutNumber, optoutPhrase, optinPhrase } = req.body;
+app.post('/api/configs', requireScope('admin'), async (req, res) => {
+    const { optoutNumber, optoutPhrase, optinPhrase, helpPhrase, signatureMethod, signatureSecret, signatureMaxAge, defaultCountry } = req.body;
     
     if (!optoutNumber) {
         return res.status(400).json({ error: 'optoutNumber is required' });
     }
     
+    const validationError = validateSignatureSettings(req.body) || validateCountry(defaultCountry) ||
+        validateAutoReplySettings(req.body) || keywords.validateKeywordSettings(req.body) || validateScopeSettings(req.body) ||
+        sendWindows.validateSendWindow(req.body.sendWindow) || optoutFooter.validateFooterPolicy(req.body.optoutFooter) ||
+        validateDoubleOptInSettings(req.body) || messagesApi.validateChannelList(req.body.optoutChannels, 'optoutChannels');
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
     const config = readJSON("config");
     const newConfig = {
         id: Date.now().toString(),
         optoutNumber: optoutNumber,
         optoutPhrase: optoutPhrase || 'STOP',
-        optinPhrase: optinPhrase || 'START'
+        optinPhrase: optinPhrase || 'START',
+        helpPhrase: helpPhrase || 'HELP,INFO',
+        keywordPacks: req.body.keywordPacks || [...keywords.DEFAULT_KEYWORD_PACKS],
+        optoutRegex: req.body.optoutRegex || '',
+        optinRegex: req.body.optinRegex || '',
+        helpRegex: req.body.helpRegex || '',
+        optoutScope: req.body.optoutScope || 'global',
+        listId: req.body.optoutScope === 'list' ? req.body.listId : null,
+        signatureMethod: signatureMethod || 'none',
+        signatureSecret: signatureSecret || '',
+        signatureMaxAge: Number(signatureMaxAge) || DEFAULT_SIGNATURE_MAX_AGE,
+        defaultCountry: phone.normalizeCountry(defaultCountry),
+        autoReply: !!req.body.autoReply,
+        brandName: req.body.brandName || '',
+        contactInfo: req.body.contactInfo || '',
+        sendWindow: pickSendWindow(req.body.sendWindow),
+        optoutFooter: optoutFooter.pickFooterPolicy(req.body.optoutFooter),
+        // Channels an inbound opt-out blocks besides the one it arrived on
+        optoutChannels: req.body.optoutChannels || [],
+        ...pickDoubleOptIn(req.body)
     };
     
+    // Templates left out fall back to the defaults; an empty string disables the reply
+    AUTO_REPLY_FIELDS.forEach(field => {
+        if (typeof req.body[field] === 'string') newConfig[field] = req.body[field];
+    });
+    
     config.optoutConfigs.push(newConfig);
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Config added via API: ${optoutNumber} with phrases ${optoutPhrase}/${optinPhrase}`);
     
@@ -1158,9 +4733,9 @@ app.post('/api/configs', (req, res) => {
 });
 
 // Update configuration
-app.put('/api/configs/:id', (req, res) => {
+app.put('/api/configs/:id', requireScope('admin'), async (req, res) => {
     const { id } = req.params;
-    const { optoutNumber, optoutPhrase, optinPhrase } = req.body;
+    const { optoutNumber, optoutPhrase, optinPhrase, helpPhrase, signatureMethod, signatureSecret, signatureMaxAge, defaultCountry } = req.body;
     
     const config = readJSON("config");
     const index = config.optoutConfigs.findIndex(c => c.id === id);
@@ -1169,19 +4744,138 @@ app.put('/api/configs/:id', (req, res) => {
         return res.status(404).json({ error: 'Configuration not found' });
     }
     
+    const validationError = validateSignatureSettings({
+        signatureSecret: config.optoutConfigs[index].signatureSecret,
+        ...req.body
+    }) || validateCountry(defaultCountry) || validateAutoReplySettings({ ...config.optoutConfigs[index], ...req.body }) ||
+        keywords.validateKeywordSettings(req.body) || validateScopeSettings({ ...config.optoutConfigs[index], ...req.body }) ||
+        sendWindows.validateSendWindow(req.body.sendWindow) || optoutFooter.validateFooterPolicy(req.body.optoutFooter) ||
+        validateDoubleOptInSettings({ ...config.optoutConfigs[index], ...req.body }) ||
+        messagesApi.validateChannelList(req.body.optoutChannels, 'optoutChannels');
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
     if (optoutNumber) config.optoutConfigs[index].optoutNumber = optoutNumber;
     if (optoutPhrase) config.optoutConfigs[index].optoutPhrase = optoutPhrase;
     if (optinPhrase) config.optoutConfigs[index].optinPhrase = optinPhrase;
+    if (helpPhrase) config.optoutConfigs[index].helpPhrase = helpPhrase;
+    if (req.body.keywordPacks) config.optoutConfigs[index].keywordPacks = req.body.keywordPacks;
+    if (req.body.optoutScope) {
+        config.optoutConfigs[index].optoutScope = req.body.optoutScope;
+        config.optoutConfigs[index].listId = req.body.optoutScope === 'list'
+            ? req.body.listId || config.optoutConfigs[index].listId
+            : null;
+    }
+    if (signatureMethod) config.optoutConfigs[index].signatureMethod = signatureMethod;
+    if (signatureSecret) config.optoutConfigs[index].signatureSecret = signatureSecret;
+    if (signatureMaxAge) config.optoutConfigs[index].signatureMaxAge = Number(signatureMaxAge);
+    // An empty string clears the override and falls back to the global default
+    if (defaultCountry !== undefined) config.optoutConfigs[index].defaultCountry = phone.normalizeCountry(defaultCountry);
+    if (req.body.autoReply !== undefined) config.optoutConfigs[index].autoReply = !!req.body.autoReply;
+    // null removes the config's own window so the list or global one applies
+    if (req.body.sendWindow !== undefined) config.optoutConfigs[index].sendWindow = pickSendWindow(req.body.sendWindow);
+    if (req.body.optoutFooter !== undefined) config.optoutConfigs[index].optoutFooter = optoutFooter.pickFooterPolicy(req.body.optoutFooter);
+    if (['doubleOptIn', 'confirmPhrase', 'confirmWindowHours'].some(field => req.body[field] !== undefined)) {
+        Object.assign(config.optoutConfigs[index], pickDoubleOptIn({ ...config.optoutConfigs[index], ...req.body }));
+    }
+    if (req.body.optoutChannels !== undefined) config.optoutConfigs[index].optoutChannels = req.body.optoutChannels || [];
+    ['brandName', 'contactInfo', ...AUTO_REPLY_FIELDS, ...KEYWORD_REGEX_FIELDS].forEach(field => {
+        if (typeof req.body[field] === 'string') config.optoutConfigs[index][field] = req.body[field];
+    });
     
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Config ${id} updated via API`);
     
     res.json({ success: true, config: config.optoutConfigs[index] });
 });
 
+// Report how an inbound text would be classified by a configuration
+app.post('/api/configs/:id/test-keyword', requireScope('admin'), (req, res) => {
+    const { text } = req.body;
+    
+    if (typeof text !== 'string' || !text) {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    
+    const config = readJSON("config");
+    const optoutConfig = config.optoutConfigs.find(c => c.id === req.params.id);
+    
+    if (!optoutConfig) {
+        return res.status(404).json({ error: 'Configuration not found' });
+    }
+    
+    res.json(keywords.classifyKeyword(text, optoutConfig));
+});
+
+// Run an inbound message through the real keyword handling of a config, as if
+// texted to its number. By default nothing changes and the response says what
+// would happen; with apply: true it is handled like a real one, updating the
+// blocklist and history and sending any auto-reply.
+app.post('/api/configs/:id/simulate-inbound', requireScope('admin'), async (req, res) => {
+    const { from, text, channel = 'sms', apply = false } = req.body;
+    
+    const optoutConfig = readJSON("config").optoutConfigs.find(c => c.id === req.params.id);
+    if (!optoutConfig) {
+        return res.status(404).json({ error: 'Configuration not found' });
+    }
+    if (!optoutConfig.optoutNumber) {
+        return res.status(400).json({ error: 'Configuration has no opt-out number' });
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    const channelError = messagesApi.validateChannel(channel);
+    if (channelError) {
+        return res.status(400).json({ error: channelError });
+    }
+    const number = parseNumber(from, getDefaultCountry(optoutConfig));
+    if (!number) {
+        return res.status(400).json({ error: 'Invalid phone number', from });
+    }
+    
+    const inbound = {
+        channel: channel,
+        from: number,
+        to: optoutConfig.optoutNumber,
+        text: text,
+        messageId: `simulated-${crypto.randomUUID()}`,
+        receivedAt: null,
+        simulatedBy: { actor: consentActor(req.principal), ip: req.ip || null }
+    };
+    const startedAt = new Date().toISOString();
+    const outcome = describeInbound(optoutConfig, inbound, number, startedAt);
+    if (apply !== true) {
+        return res.json({ applied: false, ...outcome });
+    }
+    
+    addLog(`Simulating inbound ${channel} "${text}" from ${number} to ${optoutConfig.optoutNumber}`);
+    let status = 200;
+    await processInbound(req, { sendStatus: code => { status = code; } }, req.body, inbound, { optoutConfig });
+    if (status !== 200) {
+        return sendStorageError(res);
+    }
+    
+    // The auto-reply has been sent (or failed) by the time processInbound returns
+    const sentReply = historyLog.find({ where: { action: 'reply', number }, since: startedAt, limit: 1 })[0];
+    res.json({
+        applied: true,
+        ...outcome,
+        blockedAfter: !!optoutStore.get(number, getScopesForSender(optoutConfig.optoutNumber), channel),
+        reply: outcome.reply && {
+            ...outcome.reply,
+            status: sentReply ? sentReply.status : 'skipped',
+            ...(sentReply && sentReply.messageId && { messageId: sentReply.messageId }),
+            ...(sentReply && sentReply.error && { error: sentReply.error })
+        }
+    });
+});
+
 // Delete configuration
-app.delete('/api/configs/:id', (req, res) => {
+app.delete('/api/configs/:id', requireScope('admin'), async (req, res) => {
     const { id } = req.params;
     
     const config = readJSON("config");
@@ -1192,7 +4886,9 @@ app.delete('/api/configs/:id', (req, res) => {
         return res.status(404).json({ error: 'Configuration not found' });
     }
     
-    writeJSON("config", config);
+    if (!await writeData('config', config)) {
+        return sendStorageError(res);
+    }
     
     addLog(`Config ${id} deleted via API`);
     
@@ -1200,54 +4896,94 @@ app.delete('/api/configs/:id', (req, res) => {
 });
 
 // Get statistics for last 24 hours
-app.get('/api/stats', (req, res) => {
-    const history = readJSON("history");
-    const now = new Date();
-    const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
+app.get('/api/stats', requireScope('reports:read'), (req, res) => {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
     
-    const recentHistory = history.filter(item => 
-        new Date(item.timestamp) >= twentyFourHoursAgo
-    );
-    
-    const optins = recentHistory.filter(item => item.action === 'optin').length;
-    const optouts = recentHistory.filter(item => item.action === 'optout').length;
+    const optins = historyLog.count({ where: { action: 'optin' }, since });
+    const optouts = historyLog.count({ where: { action: 'optout' }, since });
     
     res.json({ optins, optouts });
 });
 
-// Get history with optional date filter
-app.get('/api/history', (req, res) => {
-    const { startDate, endDate, action } = req.query;
-    let history = readJSON("history");
-    
+// startDate/endDate query values as the ISO bounds of those days, or an error
+function parseDateRange({ startDate, endDate }) {
+    const range = {};
     if (startDate) {
         const start = new Date(startDate);
+        if (isNaN(start.getTime())) return { error: `Invalid startDate: ${startDate}` };
         start.setHours(0, 0, 0, 0);
-        history = history.filter(item => new Date(item.timestamp) >= start);
+        range.since = start.toISOString();
     }
-    
     if (endDate) {
         const end = new Date(endDate);
+        if (isNaN(end.getTime())) return { error: `Invalid endDate: ${endDate}` };
         end.setHours(23, 59, 59, 999);
-        history = history.filter(item => new Date(item.timestamp) <= end);
+        range.until = end.toISOString();
     }
-    
-    if (action && action !== 'all') {
-        history = history.filter(item => item.action === action);
+    return range;
+}
+
+// Get history with optional date filter
+app.get('/api/history', requireScope('reports:read'), (req, res) => {
+    const { action } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
     }
     
-    // Sort by newest first
-    history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const history = historyLog.find({
+        where: action && action !== 'all' ? { action } : {},
+        since: range.since,
+        until: range.until,
+        order: 'desc'
+    });
     
     res.json(history);
 });
 
 // Clear history (optional admin function)
-app.delete('/api/history', (req, res) => {
-    writeJSON("history", []);
+app.delete('/api/history', requireScope('admin'), async (req, res) => {
+    if (!await historyLog.replace([])) {
+        return sendStorageError(res);
+    }
     res.json({ success: true });
 });
 
+// ========== MESSAGES API ==========
+
+// Outbound message log with optional filters, newest first
+app.get('/api/messages', requireScope('reports:read'), (req, res) => {
+    const { to, from, status, source } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
+    const where = {};
+    if (to) where.to = normalizeNumber(to);
+    if (status && status !== 'all') where.status = status;
+    if (source && source !== 'all') where.source = source;
+    
+    const query = {
+        where,
+        since: range.since,
+        until: range.until,
+        // Senders are compared normalized, which the stored column can't do
+        filter: from ? m => senderKey(m.from) === senderKey(from) : null
+    };
+    
+    res.json({ total: messageLog.count(query), messages: messageLog.find({ ...query, order: 'desc', limit }) });
+});
+
+app.get('/api/messages/:id', requireScope('reports:read'), (req, res) => {
+    const message = findMessage(req.params.id);
+    if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(message);
+});
+
 const LISTEN_PORT = process.env.VCR_PORT || process.env.PORT || 3000;
 const LISTEN_HOST = process.env.VCR_HOST || '0.0.0.0';
 
@@ -1255,6 +4991,12 @@ const LISTEN_HOST = process.env.VCR_HOST || '0.0.0.0';
 async function startServer() {
     // Initialize persistent storage
     await initializeStorage();
+    await resumeJobs();
+    startDeferredProcessor();
+    startConfirmationProcessor();
+    startScheduleProcessor();
+    startMessagePruner();
+    startIdempotencyPruner();
     
     app.listen(LISTEN_PORT, LISTEN_HOST, () => {
         console.log('═══════════════════════════════════════════════════════════════');
@@ -1262,8 +5004,12 @@ async function startServer() {
         console.log('═══════════════════════════════════════════════════════════════');
         console.log(`Server: http://${LISTEN_HOST}:${LISTEN_PORT}`);
         console.log(`Environment: ${process.env.VCR_PORT ? 'VCR Cloud Runtime' : 'Local'}`);
-        console.log(`Storage: ${IS_VCR && vcrState ? 'VCR Persistent State' : 'Local Files'}`);
+        console.log(`Storage: ${storageDriver.label}`);
         console.log(`Credentials: ${ENV_API_KEY ? 'From environment' : 'From file/UI'}`);
+        console.log(`Vonage APIs: ${VONAGE_REST_URL}, ${VONAGE_API_URL}`);
+        if (!isAdminConfigured()) {
+            console.log(`Admin setup token: ${SETUP_TOKEN} (enter it to create the admin account)`);
+        }
         
         const publicUrl = process.env.VCR_INSTANCE_PUBLIC_URL || `http://${LISTEN_HOST}:${LISTEN_PORT}`;
         const webhookUrl = `${publicUrl}/webhooks/inbound-sms`;
@@ -1274,34 +5020,46 @@ async function startServer() {
         }
         console.log('───────────────────────────────────────────────────────────────');
         console.log('Endpoints:');
-        console.log('  POST /sms/json            - SDK-compatible send (Vonage format)');
+        console.log('  POST /sms/json, /sms/xml  - SDK-compatible send (Vonage format)');
+        console.log('  POST /v1/messages         - SDK-compatible Messages API send');
         console.log('  POST /api/send            - Send single SMS');
-        console.log('  POST /api/send/bulk       - Send bulk SMS');
+        console.log('  POST /api/send/bulk       - Queue a bulk SMS job');
+        console.log('  GET  /api/jobs/:id        - Bulk job progress');
+        console.log('  POST /api/schedules       - Schedule a single or recurring send');
+        console.log('  GET  /api/deferred        - Messages held for their send window');
         console.log('  GET  /api/check/:num      - Check if number blocked');
         console.log('  GET/POST /webhooks/inbound-sms - Inbound SMS webhook');
+        console.log('  POST /webhooks/inbound-message - Messages API inbound webhook');
         console.log('  GET  /_/health            - Health check');
         console.log('═══════════════════════════════════════════════════════════════');
         
         // Add startup logs to in-memory logs
         addLog('Server started');
-        addLog(`Storage: ${IS_VCR && vcrState ? 'VCR Persistent State (data will survive restarts)' : 'Local Files'}`);
+        addLog(`Storage: ${storageDriver.label}${isStoragePersistent() ? ' (data will survive restarts)' : ''}`);
         addLog(`Webhook URL: ${webhookUrl}`);
         addLog('Waiting for inbound SMS webhooks...');
     });
 }
 
-startServer().catch(err => {
-    console.error('Failed to start server:', err);
-    process.exit(1);
-});
+// Start when run directly; tests require the app without listening
+if (require.main === module) {
+    startServer().catch(err => {
+        console.error('Failed to start server:', err);
+        process.exit(1);
+    });
+}
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
+module.exports = { app, initializeStorage, optoutStore };
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+// Graceful shutdown: finish the writes in flight (e.g. a message just logged)
+// first, but don't hang on a storage backend that stopped answering
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+function shutdown(signal) {
+    console.log(`${signal} received, shutting down gracefully`);
+    setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+    Promise.all(Object.values(writeQueues).map(queue => queue.tail)).then(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
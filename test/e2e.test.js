@@ -0,0 +1,434 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createMockVonage } = require('../lib/mock-vonage');
+
+// End-to-end: the server runs as its own process (node server.js) against the
+// bundled mock Vonage server, so nothing leaves the machine
+
+const API_KEY = 'e2e-key';
+const API_SECRET = 'e2e-secret';
+const SIGNATURE_SECRET = 'e2e-signature-secret';
+const ADMIN_PASSWORD = 'e2e-password';
+const OPTOUT_NUMBER = '447700900000';
+
+let dataDir;
+let port;
+let mock;
+let app;
+let cookie;
+
+const baseUrl = () => `http://127.0.0.1:${port}`;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Poll until `check` returns something truthy
+async function waitFor(check, what, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await sleep(50);
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+async function startApp() {
+    const { NODE_TEST_CONTEXT, ...env } = process.env;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            STORAGE_DRIVER: 'file',
+            ADMIN_PASSWORD: ADMIN_PASSWORD,
+            VONAGE_API_KEY: API_KEY,
+            VONAGE_API_SECRET: API_SECRET,
+            VONAGE_SIGNATURE_SECRET: SIGNATURE_SECRET,
+            VONAGE_SIGNATURE_METHOD: 'md5hash',
+            VONAGE_REST_URL: mock.url,
+            VONAGE_API_URL: mock.url,
+            SEND_MAX_ATTEMPTS: '1',
+            BULK_RATE_PER_SECOND: '100'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    // Kept for the failure message if it doesn't come up
+    let output = '';
+    child.stdout.on('data', chunk => { output = (output + chunk).slice(-5000); });
+    child.stderr.on('data', chunk => { output = (output + chunk).slice(-5000); });
+    
+    await waitFor(async () => {
+        if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+        try {
+            return (await fetch(`${baseUrl()}/_/health`)).ok;
+        } catch (e) {
+            return false;
+        }
+    }, 'the server to start', 15000);
+    
+    const login = await fetch(`${baseUrl()}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+    });
+    assert.strictEqual(login.status, 200);
+    cookie = login.headers.get('set-cookie').split(';')[0];
+    return child;
+}
+
+function stopApp(child) {
+    if (child.exitCode !== null) return Promise.resolve();
+    return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+    });
+}
+
+async function api(method, route, body) {
+    const response = await fetch(`${baseUrl()}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: /json/.test(response.headers.get('content-type')) ? JSON.parse(text) : text };
+}
+
+const isBlocked = async number => (await api('GET', `/api/check/${number}`)).body.blocked;
+const sentTo = number => mock.messages.filter(m => m.to === number);
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2e-'));
+    port = await freePort();
+    mock = createMockVonage({
+        apiKey: API_KEY,
+        apiSecret: API_SECRET,
+        numbers: [{ country: 'GB', msisdn: OPTOUT_NUMBER, type: 'mobile-lvn', features: ['SMS'] }],
+        webhookUrl: baseUrl(),
+        signatureSecret: SIGNATURE_SECRET,
+        signatureMethod: 'md5hash'
+    });
+    await mock.listen();
+    app = await startApp();
+    
+    const created = await api('POST', '/api/configs', {
+        optoutNumber: OPTOUT_NUMBER,
+        autoReply: true,
+        brandName: 'Acme',
+        contactInfo: 'acme.example'
+    });
+    assert.strictEqual(created.status, 200);
+});
+
+test.after(async () => {
+    if (app) await stopApp(app);
+    if (mock) await mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('account numbers come from the Vonage account', async () => {
+    const numbers = (await api('GET', '/api/numbers')).body;
+    assert.ok(numbers.some(n => n.msisdn === OPTOUT_NUMBER));
+});
+
+test('STOP and START from a handset update the blocklist and get auto-replies', async () => {
+    const handset = '447700900101';
+    
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: 'STOP' }), 200);
+    assert.strictEqual(await isBlocked(handset), true);
+    const optoutReply = await waitFor(() => sentTo(handset)[0], 'the opt-out auto-reply');
+    assert.strictEqual(optoutReply.from, OPTOUT_NUMBER);
+    
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: 'start' }), 200);
+    assert.strictEqual(await isBlocked(handset), false);
+    await waitFor(() => sentTo(handset).length === 2, 'the opt-in auto-reply');
+    
+    const history = (await api('GET', '/api/history')).body;
+    const actions = history.filter(h => h.number === handset).map(h => h.action).sort();
+    assert.deepStrictEqual(actions, ['optin', 'optout', 'reply', 'reply']);
+});
+
+test('a START to one brand leaves opt-outs recorded by other brands', async () => {
+    const otherBrand = '447700900001';
+    const handset = '447700900151';
+    const created = await api('POST', '/api/configs', {
+        optoutNumber: otherBrand,
+        optoutScope: 'config',
+        keywordPacks: ['ctia']
+    });
+    assert.strictEqual(created.status, 200);
+    const scopes = async () => (await api('GET', `/api/check/${handset}`)).body.scopes;
+    
+    // Acme's opt-outs are global; the other brand's only cover its own number
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: 'STOP' }), 200);
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: otherBrand, text: 'STOP' }), 200);
+    assert.deepStrictEqual((await scopes()).sort(), [`config:${created.body.config.id}`, 'global']);
+    
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: otherBrand, text: 'START' }), 200);
+    assert.deepStrictEqual(await scopes(), ['global']);
+    
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: otherBrand, text: 'STARTALL' }), 200);
+    assert.deepStrictEqual(await scopes(), []);
+});
+
+test('a malformed cookie from another app does not break the session', async () => {
+    const response = await fetch(`${baseUrl()}/api/configs`, { headers: { Cookie: `foo=%E0%A4%A; ${cookie}` } });
+    assert.strictEqual(response.status, 200);
+});
+
+test('a config update cannot change the config id', async () => {
+    const [optoutConfig] = (await api('GET', '/api/config')).body.optoutConfigs;
+    const updated = await api('PUT', `/api/config/${optoutConfig.id}`, { id: 'other', brandName: 'Acme' });
+    assert.strictEqual(updated.status, 200);
+    const ids = (await api('GET', '/api/config')).body.optoutConfigs.map(c => c.id);
+    assert.ok(ids.includes(optoutConfig.id) && !ids.includes('other'));
+});
+
+test('a STOP retried after a failed write is still saved', async () => {
+    const handset = '447700900109';
+    const optoutsFile = path.join(dataDir, 'optouts.json');
+    const storedNumbers = () => JSON.parse(fs.readFileSync(optoutsFile, 'utf8')).map(entry => entry.number);
+    
+    // A directory in its place makes the rename onto optouts.json fail
+    const saved = fs.readFileSync(optoutsFile);
+    fs.rmSync(optoutsFile);
+    fs.mkdirSync(path.join(optoutsFile, 'blocker'), { recursive: true });
+    try {
+        assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: 'STOP' }), 500);
+    } finally {
+        fs.rmSync(optoutsFile, { recursive: true });
+        fs.writeFileSync(optoutsFile, saved);
+    }
+    
+    // Vonage's retry finds the number already listed in memory
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: 'STOP' }), 200);
+    assert.ok(storedNumbers().includes(handset));
+});
+
+test('unsigned inbound webhooks are rejected', async () => {
+    const response = await fetch(`${baseUrl()}/webhooks/inbound-sms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ msisdn: '447700900102', to: OPTOUT_NUMBER, messageId: 'unsigned', text: 'STOP', type: 'text' })
+    });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(await isBlocked('447700900102'), false);
+});
+
+test('every send route refuses opted-out numbers', async () => {
+    const blocked = '447700900103';
+    const allowed = '447700900104';
+    assert.strictEqual((await api('POST', '/api/optout', { number: blocked })).status, 200);
+    
+    const send = await api('POST', '/api/send', { to: blocked, from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(send.status, 403);
+    assert.strictEqual(send.body.blocked, true);
+    
+    const smsJson = await api('POST', '/sms/json', { api_key: API_KEY, api_secret: API_SECRET, to: blocked, from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(smsJson.body.messages[0].status, '99');
+    
+    const smsXml = await api('POST', '/sms/xml', { api_key: API_KEY, api_secret: API_SECRET, to: blocked, from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.match(smsXml.body, /<status>99<\/status>/);
+    
+    const messages = await fetch(`${baseUrl()}/v1/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Basic ${Buffer.from(`${API_KEY}:${API_SECRET}`).toString('base64')}`
+        },
+        body: JSON.stringify({ channel: 'sms', message_type: 'text', to: blocked, from: OPTOUT_NUMBER, text: 'Hello' })
+    });
+    assert.strictEqual(messages.status, 403);
+    assert.strictEqual((await messages.json()).title, 'Recipient opted out');
+    
+    const bulk = await api('POST', '/api/send/bulk', { recipients: [blocked, allowed], from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(bulk.status, 202);
+    const job = await waitFor(async () => {
+        const current = (await api('GET', `/api/jobs/${bulk.body.jobId}`)).body;
+        return current.status === 'completed' && current;
+    }, 'the bulk job');
+    assert.strictEqual(job.summary.blocked, 1);
+    assert.strictEqual(job.summary.sent, 1);
+    
+    assert.strictEqual(sentTo(blocked).length, 0);
+    assert.strictEqual(sentTo(allowed).length, 1);
+});
+
+test('delivery receipts and scripted Vonage errors reach the message log', async () => {
+    const delivered = await api('POST', '/api/send', { to: '447700900105', from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(delivered.status, 200);
+    await waitFor(async () => (await api('GET', `/api/messages/${delivered.body.messageId}`)).body.status === 'delivered', 'the delivery receipt');
+    
+    mock.script({ to: '447700900106', receipt: { status: 'failed', errCode: '6' }, times: 1 });
+    const failed = await api('POST', '/api/send', { to: '447700900106', from: OPTOUT_NUMBER, text: 'Hello' });
+    const logged = await waitFor(async () => {
+        const message = (await api('GET', `/api/messages/${failed.body.messageId}`)).body;
+        return message.status === 'failed' && message;
+    }, 'the failed receipt');
+    assert.strictEqual(logged.errorCode, '6');
+    
+    mock.script({ to: '447700900107', status: '9', errorText: 'Partner quota exceeded', times: 1 });
+    const refused = await api('POST', '/api/send', { to: '447700900107', from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(refused.status, 400);
+    assert.strictEqual(refused.body.error, 'Partner quota exceeded');
+    
+    mock.script({ to: '447700900108', httpStatus: 500, times: 1 });
+    const unavailable = await api('POST', '/api/send', { to: '447700900108', from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(unavailable.status, 503);
+    assert.strictEqual(unavailable.body.status, 'dead-lettered');
+    
+    // Two requeues of the same dead letter send it once
+    const sentBefore = sentTo('447700900108').length;
+    const requeues = await Promise.all([1, 2].map(() => api('POST', `/api/dead-letters/${unavailable.body.deadLetterId}/requeue`)));
+    assert.deepStrictEqual(requeues.map(r => r.status).sort(), [200, 404]);
+    assert.strictEqual(sentTo('447700900108').length, sentBefore + 1);
+    assert.strictEqual((await api('GET', `/api/dead-letters/${unavailable.body.deadLetterId}`)).status, 404);
+});
+
+test('sends Vonage may have delivered are not retried or dead-lettered', async () => {
+    mock.script({ to: '447700900161', lastPartStatus: '1', errorText: 'Throttled', times: 1 });
+    const partial = await api('POST', '/api/send', { to: '447700900161', from: OPTOUT_NUMBER, text: 'Long message. '.repeat(20) });
+    assert.strictEqual(partial.status, 500);
+    assert.match(partial.body.error, /accepted 1 of 2 parts/);
+    
+    mock.script({ to: '447700900162', invalidJson: true, times: 1 });
+    const unreadable = await api('POST', '/api/send', { to: '447700900162', from: OPTOUT_NUMBER, text: 'Hello' });
+    assert.strictEqual(unreadable.status, 500);
+    
+    const deadLetters = (await api('GET', '/api/dead-letters')).body;
+    assert.ok(!deadLetters.some(d => ['447700900161', '447700900162'].includes(d.to)));
+});
+
+test('the consent CSV export does not pass on spreadsheet formulas', async () => {
+    const handset = '447700900171';
+    assert.strictEqual(await mock.sendInbound({ from: handset, to: OPTOUT_NUMBER, text: '=STOP' }), 200);
+    
+    const csv = (await api('GET', `/api/numbers/${handset}/consent?format=csv`)).body;
+    assert.ok(csv.includes(",'=STOP,"));
+});
+
+test('the schedule calendar rejects an invalid start', async () => {
+    const calendar = await api('GET', '/api/schedules/calendar?start=garbage');
+    assert.strictEqual(calendar.status, 400);
+    assert.strictEqual(calendar.body.error, 'start must be a date');
+});
+
+test('bulk opt-outs and opt-ins', async () => {
+    const numbers = ['447700900111', '447700900112', '447700900113'];
+    const optout = await api('POST', '/api/optout/bulk', { numbers: [...numbers, 'not-a-number'] });
+    assert.strictEqual(optout.status, 200);
+    assert.deepStrictEqual(optout.body.results.added, numbers);
+    assert.deepStrictEqual(optout.body.results.invalid, ['not-a-number']);
+    
+    const optin = await api('POST', '/api/optin/bulk', { numbers: numbers.slice(0, 2) });
+    assert.strictEqual(optin.status, 200);
+    assert.strictEqual(optin.body.summary.removed, 2);
+    
+    assert.deepStrictEqual(await Promise.all(numbers.map(isBlocked)), [false, false, true]);
+});
+
+test('a cancelled bulk job counts its unsent recipients as cancelled', async () => {
+    const recipients = ['447700900171', '447700900172', '447700900173', '447700900174', '447700900175'];
+    const bulk = await api('POST', '/api/send/bulk', { recipients, from: OPTOUT_NUMBER, text: 'Hello', ratePerSecond: 1, concurrency: 1 });
+    assert.strictEqual(bulk.status, 202);
+    assert.strictEqual((await api('POST', `/api/jobs/${bulk.body.jobId}/cancel`)).status, 200);
+    
+    const job = await waitFor(async () => {
+        const current = (await api('GET', `/api/jobs/${bulk.body.jobId}`)).body;
+        return current.status === 'cancelled' && current;
+    }, 'the cancelled job');
+    const { total, pending, sent, blocked, failed, cancelled } = job.summary;
+    assert.strictEqual(pending, 0);
+    assert.ok(cancelled > 0);
+    assert.strictEqual(sent + blocked + failed + cancelled, total);
+});
+
+test('only bulk routes accept bodies over the default size limit', async () => {
+    const numbers = Array.from({ length: 8000 }, (_, i) => `4477008${String(i).padStart(5, '0')}`);
+    const bulk = await api('POST', '/api/optin/bulk', { numbers });
+    assert.strictEqual(bulk.status, 200);
+    assert.strictEqual(bulk.body.summary.total, numbers.length);
+    
+    const config = await api('POST', '/api/configs', { optoutNumber: '447700900002', brandName: 'x'.repeat(200 * 1024) });
+    assert.strictEqual(config.status, 413);
+});
+
+test('simulated inbound messages only change the blocklist when applied', async () => {
+    const number = '447700900131';
+    const configId = (await api('GET', '/api/configs')).body[0].id;
+    
+    const dryRun = await api('POST', `/api/configs/${configId}/simulate-inbound`, { from: number, text: 'Stop please' });
+    assert.strictEqual(dryRun.status, 200);
+    assert.strictEqual(dryRun.body.applied, false);
+    assert.strictEqual(dryRun.body.action, 'optout');
+    assert.strictEqual(dryRun.body.blockedAfter, true);
+    assert.match(dryRun.body.reply.text, /unsubscribed/);
+    assert.strictEqual(await isBlocked(number), false);
+    assert.strictEqual(sentTo(number).length, 0);
+    
+    const applied = await api('POST', `/api/configs/${configId}/simulate-inbound`, { from: number, text: 'Stop please', apply: true });
+    assert.strictEqual(applied.body.applied, true);
+    assert.strictEqual(applied.body.reply.status, 'sent');
+    assert.strictEqual(await isBlocked(number), true);
+    assert.strictEqual(sentTo(number).length, 1);
+    
+    const { events } = (await api('GET', `/api/numbers/${number}/consent`)).body;
+    assert.strictEqual(events.find(e => e.action === 'optout').consent.source, 'simulator');
+});
+
+test('sandbox mode records sends without sending them to Vonage', async () => {
+    assert.strictEqual((await api('PUT', '/api/settings', { sandboxMode: true })).body.sandboxMode, true);
+    try {
+        const sent = await api('POST', '/api/send', { to: '447700900141', from: OPTOUT_NUMBER, text: 'Sandboxed' });
+        assert.strictEqual(sent.status, 200);
+        const smsJson = await api('POST', '/sms/json', { api_key: API_KEY, api_secret: API_SECRET, to: '447700900142', from: OPTOUT_NUMBER, text: 'Sandboxed' });
+        assert.strictEqual(smsJson.body.messages[0].status, '0');
+        
+        const logged = (await api('GET', `/api/messages/${sent.body.messageId}`)).body;
+        assert.strictEqual(logged.sandbox, true);
+        assert.strictEqual(sentTo('447700900141').length + sentTo('447700900142').length, 0);
+        
+        // Opt-outs still apply
+        const blocked = await api('POST', '/api/send', { to: '447700900103', from: OPTOUT_NUMBER, text: 'Sandboxed' });
+        assert.strictEqual(blocked.status, 403);
+    } finally {
+        await api('PUT', '/api/settings', { sandboxMode: null });
+    }
+});
+
+test('opt-outs, configs and the message log survive a restart', async () => {
+    const number = '447700900121';
+    assert.strictEqual(await mock.sendInbound({ from: number, to: OPTOUT_NUMBER, text: 'STOP' }), 200);
+    const sent = await api('POST', '/api/send', { to: '447700900122', from: OPTOUT_NUMBER, text: 'Before restart' });
+    assert.strictEqual(sent.status, 200);
+    
+    const optouts = JSON.parse(fs.readFileSync(path.join(dataDir, 'optouts.json'), 'utf8'));
+    assert.ok(optouts.some(entry => entry.number === number));
+    
+    await stopApp(app);
+    app = await startApp();
+    
+    assert.strictEqual(await isBlocked(number), true);
+    assert.strictEqual(await isBlocked('447700900113'), true);
+    assert.strictEqual((await api('GET', '/api/configs')).body[0].optoutNumber, OPTOUT_NUMBER);
+    assert.strictEqual((await api('GET', `/api/messages/${sent.body.messageId}`)).status, 200);
+    
+    // And it still acts on what it loaded
+    const send = await api('POST', '/api/send', { to: number, from: OPTOUT_NUMBER, text: 'After restart' });
+    assert.strictEqual(send.status, 403);
+});
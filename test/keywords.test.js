@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateKeywordSettings, classifyKeyword } = require('../lib/keywords');
+
+test('keyword regexes that can backtrack exponentially are refused', () => {
+    for (const pattern of ['^(a+)+$', '^(a|a)+$', '^(a|ab)*$', '^((a|a))+$', '^(?:a|a){30}$', '^(a?)+$', '(\\w*\\s?)*']) {
+        assert.ok(validateKeywordSettings({ optoutRegex: pattern }), pattern);
+    }
+    for (const pattern of ['^STOP\\s*(NOW|ALL)?$', '^(STOP|END)\\b', '^STOP( NOW)?$', 'UN-?SUB']) {
+        assert.strictEqual(validateKeywordSettings({ optoutRegex: pattern }), null, pattern);
+    }
+});
+
+test('unsafe regexes saved before the check are skipped when matching', () => {
+    const config = { keywordPacks: [], optoutPhrase: 'STOP', optoutRegex: '^(a|a)+$' };
+    assert.strictEqual(classifyKeyword(`${'a'.repeat(40)}!`, config).type, null);
+    
+    assert.strictEqual(classifyKeyword('please unsubscribe me', { ...config, optoutRegex: 'UNSUB' }).keyword, 'UNSUB');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { createJwt, verifyJwt } = require('../lib/messages-api');
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const application = { applicationId: '6f1f3a4e-0000-4000-8000-000000000001', privateKey };
+
+function signClaims(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${unsigned}.${crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+}
+
+test('client JWTs must be recently issued', () => {
+    const now = Date.now();
+    assert.strictEqual(verifyJwt(createJwt(application, now), application, 300, now), null);
+    
+    // Issued ten minutes ago and still unexpired, but outside the window
+    const replayed = createJwt(application, now - 10 * 60 * 1000);
+    assert.match(verifyJwt(replayed, application, 300, now), /stale JWT/);
+    
+    const timeless = signClaims({ application_id: application.applicationId });
+    assert.strictEqual(verifyJwt(timeless, application, 300, now), 'JWT missing iat claim');
+});
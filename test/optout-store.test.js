@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createOptoutStore } = require('../lib/optout-store');
+
+const normalize = num => (num ? String(num).replace(/[^0-9]/g, '') : '');
+
+const BLOCKLIST_SIZE = 100000;
+const RECIPIENTS = 10000;
+
+// 447000000000, 447000000001, ... as stored by the opt-out routes
+const numberAt = i => `447${String(i).padStart(9, '0')}`;
+
+test('optout store indexes entries by normalized number', () => {
+    const store = createOptoutStore({ normalize });
+    store.load(['+44 7000 000001', { number: '447000000002', configId: 'manual' }]);
+    
+    assert.strictEqual(store.has('447000000001'), true);
+    assert.strictEqual(store.has('+44 (7000) 000-002'), true);
+    assert.strictEqual(store.has('447000000003'), false);
+    
+    assert.strictEqual(store.add({ number: '447000000003' }), true);
+    assert.strictEqual(store.add({ number: '447000000003' }), false);
+    assert.strictEqual(store.size(), 3);
+    
+    assert.deepStrictEqual(store.remove(['447000000001', '447000000009']), ['447000000001']);
+    assert.strictEqual(store.has('447000000001'), false);
+    assert.strictEqual(store.list().length, 2);
+});
+
+test('optout store keeps the persisted array in sync', () => {
+    const list = [{ number: '1' }];
+    const store = createOptoutStore({ normalize });
+    store.load(list);
+    
+    store.add({ number: '2' });
+    store.remove('1');
+    
+    assert.strictEqual(store.list(), list);
+    assert.deepStrictEqual(list, [{ number: '2' }]);
+});
+
+test('optout store keeps one entry per number and scope', () => {
+    const store = createOptoutStore({ normalize });
+    store.load([{ number: '1' }, { number: '1', scope: 'config:a' }]);
+    
+    assert.strictEqual(store.add({ number: '1', scope: 'list:b' }), true);
+    assert.strictEqual(store.add({ number: '1', scope: 'config:a' }), false);
+    assert.strictEqual(store.size(), 1);
+    
+    assert.strictEqual(store.has('1', ['config:z', 'list:b']), true);
+    assert.strictEqual(store.has('1', ['config:z']), false);
+    assert.strictEqual(store.get('1', ['global']).scope, undefined);
+    
+    assert.deepStrictEqual(store.remove('1', ['global', 'list:b']), ['1']);
+    assert.deepStrictEqual(store.entries('1'), [{ number: '1', scope: 'config:a' }]);
+    
+    store.remove('1');
+    assert.strictEqual(store.has('1'), false);
+    assert.deepStrictEqual(store.list(), []);
+});
+
+test('optout store blocks only the channels an entry names', () => {
+    const store = createOptoutStore({ normalize, channels: ['sms', 'whatsapp', 'rcs'] });
+    store.load(['1']);
+    
+    assert.strictEqual(store.add({ number: '2', channels: ['whatsapp'] }), true);
+    assert.strictEqual(store.has('2', null, 'whatsapp'), true);
+    assert.strictEqual(store.has('2', null, 'sms'), false);
+    assert.strictEqual(store.has('2'), true);
+    assert.strictEqual(store.has('1', null, 'rcs'), true);
+    
+    // A second channel widens the entry rather than adding another
+    assert.strictEqual(store.add({ number: '2', channels: ['whatsapp'] }), false);
+    assert.strictEqual(store.add({ number: '2', channels: ['sms'] }), true);
+    assert.deepStrictEqual(store.entries('2'), [{ number: '2', channels: ['whatsapp', 'sms'] }]);
+    assert.strictEqual(store.add({ number: '1', channels: ['sms'] }), false);
+    
+    assert.deepStrictEqual(store.remove('2', null, ['whatsapp']), ['2']);
+    assert.deepStrictEqual(store.entries('2'), [{ number: '2', channels: ['sms'] }]);
+    assert.deepStrictEqual(store.remove('2', null, ['rcs']), []);
+    
+    // Opting in on one channel narrows an opt-out that blocked every channel
+    assert.deepStrictEqual(store.remove(['1', '2'], ['global'], ['sms']), ['1', '2']);
+    assert.deepStrictEqual(store.list(), [{ number: '1', channels: ['whatsapp', 'rcs'] }]);
+    assert.strictEqual(store.has('1', null, 'sms'), false);
+    assert.strictEqual(store.has('1', null, 'whatsapp'), true);
+    
+    assert.deepStrictEqual(store.remove('1', null, ['whatsapp', 'rcs']), ['1']);
+    assert.deepStrictEqual(store.list(), []);
+    assert.strictEqual(store.size(), 0);
+});
+
+test('blocklist checks and removals on a large list do not scan it', () => {
+    // Counts how often the store normalizes a number: a scan would normalize every entry
+    let normalized = 0;
+    const store = createOptoutStore({ normalize: num => { normalized++; return normalize(num); } });
+    const optouts = [];
+    for (let i = 0; i < BLOCKLIST_SIZE; i++) {
+        optouts.push(i % 2 ? { number: numberAt(i) } : numberAt(i));
+    }
+    store.load(optouts);
+    
+    normalized = 0;
+    let blocked = 0;
+    for (let i = 0; i < RECIPIENTS; i++) {
+        if (store.has(`+${numberAt(i * 10)}`)) blocked++;
+    }
+    assert.strictEqual(blocked, RECIPIENTS);
+    assert.strictEqual(normalized, RECIPIENTS);
+    
+    // Each removal looks at the removed entry and the one moved into its place
+    normalized = 0;
+    const removing = Array.from({ length: 1000 }, (_, i) => numberAt(i * 7));
+    assert.strictEqual(store.remove(removing).length, removing.length);
+    assert.ok(normalized <= removing.length * 4, `${normalized} numbers normalized`);
+    
+    assert.strictEqual(optouts.length, BLOCKLIST_SIZE - removing.length);
+    assert.strictEqual(store.has(numberAt(7)), false);
+    assert.strictEqual(store.has(numberAt(8)), true);
+    assert.strictEqual(new Set(optouts.map(o => (typeof o === 'string' ? o : o.number))).size, optouts.length);
+    assert.ok(!optouts.some(o => removing.includes(typeof o === 'string' ? o : o.number)));
+});
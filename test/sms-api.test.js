@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Conformance of /sms/json and /sms/xml with the Vonage SMS API, against a
+// local mock of rest.nexmo.com (VONAGE_REST_URL) that records what it is sent
+
+const API_KEY = 'conformance-key';
+const API_SECRET = 'conformance-secret';
+const SIGNATURE_SECRET = 'conformance-signature-secret';
+const BLOCKED = '447700900099';
+
+let baseUrl;
+let mock;
+let server;
+let dataDir;
+
+// Mock SMS API: answers like Vonage and keeps each request's parameters
+function startMockVonage() {
+    const requests = [];
+    const httpServer = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const params = Object.fromEntries(new URLSearchParams(raw));
+            const message = {
+                to: params.to,
+                'message-id': crypto.randomBytes(8).toString('hex').toUpperCase(),
+                status: '0',
+                'remaining-balance': '3.14159265',
+                'message-price': '0.03330000',
+                network: '12345',
+                ...(params['client-ref'] && { 'client-ref': params['client-ref'] }),
+                ...(params['account-ref'] && { 'account-ref': params['account-ref'] })
+            };
+            const body = JSON.stringify({ 'message-count': '1', messages: [message] });
+            requests.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], params, body });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+        });
+    });
+    return new Promise(resolve => httpServer.listen(0, '127.0.0.1', () => resolve({
+        requests,
+        url: `http://127.0.0.1:${httpServer.address().port}`,
+        last: () => requests[requests.length - 1],
+        close: () => httpServer.close()
+    })));
+}
+
+// Vonage's md5hash request signature
+function sign(params, secret = SIGNATURE_SECRET) {
+    const query = Object.keys(params).sort().map(key => `&${key}=${String(params[key]).replace(/[&=]/g, '_')}`).join('');
+    return crypto.createHash('md5').update(query + secret).digest('hex');
+}
+
+const credentials = { api_key: API_KEY, api_secret: API_SECRET };
+const uniqueRef = () => `ref-${crypto.randomUUID()}`;
+
+function postJson(route, body) {
+    return fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+function postForm(route, params) {
+    return fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+    });
+}
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-api-'));
+    fs.writeFileSync(path.join(dataDir, 'optouts.json'), JSON.stringify([{ number: BLOCKED, configId: 'manual' }]));
+    
+    mock = await startMockVonage();
+    
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        STORAGE_DRIVER: 'file',
+        ADMIN_PASSWORD: 'conformance-password',
+        VONAGE_API_KEY: API_KEY,
+        VONAGE_API_SECRET: API_SECRET,
+        VONAGE_SIGNATURE_SECRET: SIGNATURE_SECRET,
+        VONAGE_SIGNATURE_METHOD: 'md5hash',
+        VONAGE_REST_URL: mock.url,
+        SEND_MAX_ATTEMPTS: '1'
+    });
+    
+    const { app, initializeStorage } = require('../server');
+    await initializeStorage();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('/sms/json forwards every SMS API parameter and relays the response', async () => {
+    const clientRef = uniqueRef();
+    const response = await postJson('/sms/json', {
+        ...credentials,
+        to: '447700900001',
+        from: 'AcmeInc',
+        text: 'Grüße 👋',
+        type: 'unicode',
+        'client-ref': clientRef,
+        'account-ref': 'customer-1234',
+        callback: 'https://example.com/dlr',
+        'status-report-req': '1',
+        ttl: '86400',
+        'message-class': '1',
+        'entity-id': '1101456324675322134',
+        'content-id': '1107457532145798767'
+    });
+    
+    const forwarded = mock.last();
+    assert.strictEqual(forwarded.method, 'POST');
+    assert.strictEqual(forwarded.url, '/sms/json');
+    assert.strictEqual(forwarded.contentType, 'application/x-www-form-urlencoded');
+    assert.deepStrictEqual(forwarded.params, {
+        api_key: API_KEY,
+        api_secret: API_SECRET,
+        to: '447700900001',
+        from: 'AcmeInc',
+        text: 'Grüße 👋',
+        type: 'unicode',
+        'client-ref': clientRef,
+        'account-ref': 'customer-1234',
+        callback: 'https://example.com/dlr',
+        'status-report-req': '1',
+        ttl: '86400',
+        'message-class': '1',
+        'entity-id': '1101456324675322134',
+        'content-id': '1107457532145798767'
+    });
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), forwarded.body);
+});
+
+test('/sms/json accepts form-encoded and GET requests', async () => {
+    const form = await postForm('/sms/json', { ...credentials, to: '447700900002', from: 'AcmeInc', text: 'Form' });
+    assert.strictEqual((await form.json()).messages[0].status, '0');
+    assert.strictEqual(mock.last().params.text, 'Form');
+    
+    const query = new URLSearchParams({ ...credentials, to: '447700900003', from: 'AcmeInc', text: 'Query' });
+    const get = await fetch(`${baseUrl}/sms/json?${query}`);
+    assert.strictEqual((await get.json()).messages[0].status, '0');
+    assert.strictEqual(mock.last().params.to, '447700900003');
+    assert.strictEqual(mock.last().params.text, 'Query');
+});
+
+test('/sms/json sends binary messages as they are', async () => {
+    const binary = { ...credentials, to: '447700900004', from: 'AcmeInc', type: 'binary', body: '0011223344', udh: '06050415811581', 'protocol-id': '127' };
+    const response = await postForm('/sms/json', binary);
+    assert.strictEqual((await response.json()).messages[0].status, '0');
+    
+    const { params } = mock.last();
+    assert.strictEqual(params.type, 'binary');
+    assert.strictEqual(params.body, '0011223344');
+    assert.strictEqual(params.udh, '06050415811581');
+    assert.strictEqual(params['protocol-id'], '127');
+    assert.strictEqual(params.text, undefined);
+    
+    const { udh, ...withoutUdh } = binary;
+    const missing = await (await postForm('/sms/json', withoutUdh)).json();
+    assert.deepStrictEqual(missing.messages[0], { status: '2', 'error-text': 'Missing required fields: udh' });
+});
+
+test('/sms/json verifies signed requests', async () => {
+    const forwardedBefore = mock.requests.length;
+    const params = { api_key: API_KEY, to: '447700900005', from: 'AcmeInc', text: 'Signed', timestamp: String(Math.floor(Date.now() / 1000)) };
+    
+    const signed = await (await postForm('/sms/json', { ...params, sig: sign(params) })).json();
+    assert.strictEqual(signed.messages[0].status, '0');
+    assert.strictEqual(mock.last().params.api_secret, API_SECRET);
+    assert.strictEqual(mock.last().params.sig, undefined);
+    assert.strictEqual(mock.requests.length, forwardedBefore + 1);
+    
+    const tampered = await (await postForm('/sms/json', { ...params, text: 'Changed', sig: sign(params) })).json();
+    assert.deepStrictEqual(tampered.messages[0], { status: '14', 'error-text': 'Invalid Signature' });
+    
+    const stale = { ...params, timestamp: String(Math.floor(Date.now() / 1000) - 3600) };
+    const expired = await (await postForm('/sms/json', { ...stale, sig: sign(stale) })).json();
+    assert.strictEqual(expired.messages[0].status, '14');
+    
+    const both = await (await postForm('/sms/json', { ...params, api_secret: API_SECRET, sig: sign(params) })).json();
+    assert.strictEqual(both.messages[0].status, '32');
+    
+    assert.strictEqual(mock.requests.length, forwardedBefore + 1);
+});
+
+test('/sms/json rejects opted-out recipients and invalid parameters without forwarding', async () => {
+    const forwardedBefore = mock.requests.length;
+    
+    const blocked = await (await postJson('/sms/json', { ...credentials, to: BLOCKED, from: 'AcmeInc', text: 'Hi' })).json();
+    assert.deepStrictEqual(blocked, {
+        'message-count': '1',
+        messages: [{ to: BLOCKED, status: '99', 'error-text': 'Number is opted out' }]
+    });
+    
+    const badType = await (await postJson('/sms/json', { ...credentials, to: '447700900006', from: 'AcmeInc', text: 'Hi', type: 'fax' })).json();
+    assert.strictEqual(badType.messages[0].status, '3');
+    
+    const badTtl = await (await postJson('/sms/json', { ...credentials, to: '447700900006', from: 'AcmeInc', text: 'Hi', ttl: 'soon' })).json();
+    assert.deepStrictEqual(badTtl.messages[0], { status: '3', 'error-text': 'Invalid value for parameter: ttl' });
+    
+    const badKey = await (await postJson('/sms/json', { api_key: API_KEY, api_secret: 'wrong', to: '447700900006', from: 'AcmeInc', text: 'Hi' })).json();
+    assert.strictEqual(badKey.messages[0].status, '4');
+    
+    assert.strictEqual(mock.requests.length, forwardedBefore);
+});
+
+test('/sms/xml answers in the SMS API XML format', async () => {
+    const clientRef = uniqueRef();
+    const response = await postForm('/sms/xml', { ...credentials, to: '447700900007', from: 'AcmeInc', text: 'XML', 'client-ref': clientRef });
+    const sent = JSON.parse(mock.last().body).messages[0];
+    
+    assert.match(response.headers.get('content-type'), /^text\/xml/);
+    assert.strictEqual(await response.text(), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<mt-submission-response>',
+        '    <messages count="1">',
+        '        <message>',
+        '            <to>447700900007</to>',
+        `            <messageId>${sent['message-id']}</messageId>`,
+        '            <status>0</status>',
+        '            <remainingBalance>3.14159265</remainingBalance>',
+        '            <messagePrice>0.03330000</messagePrice>',
+        '            <network>12345</network>',
+        `            <clientRef>${clientRef}</clientRef>`,
+        '        </message>',
+        '    </messages>',
+        '</mt-submission-response>',
+        ''
+    ].join('\n'));
+    
+    const blocked = await (await postForm('/sms/xml', { ...credentials, to: BLOCKED, from: 'AcmeInc', text: 'XML' })).text();
+    assert.match(blocked, /<status>99<\/status>/);
+    assert.match(blocked, /<errorText>Number is opted out<\/errorText>/);
+});
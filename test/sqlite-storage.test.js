@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSqliteDriver } = require('../lib/storage/sqlite');
+const { createMemoryLog } = require('../lib/storage/record-log');
+const { createIdempotencyStore } = require('../lib/idempotency');
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (e) {
+    hasSqlite = false;
+}
+
+function openDriver(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optout-sqlite-'));
+    const driver = createSqliteDriver({ filename: path.join(dir, 'test.db'), log: () => {} });
+    t.after(() => {
+        driver.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return driver;
+}
+
+const entry = (number, action, minute) => ({
+    number,
+    action,
+    timestamp: `2024-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`,
+    configId: 'c1'
+});
+
+test('sqlite history log writes single rows and answers indexed queries', { skip: !hasSqlite }, async t => {
+    const driver = openDriver(t);
+    const history = driver.table('history');
+    
+    assert.strictEqual(await history.add([entry('1', 'optout', 1), entry('2', 'optout', 2), entry('1', 'optin', 3)]), true);
+    assert.strictEqual(await history.add(entry('3', 'reply', 4)), true);
+    
+    assert.deepStrictEqual(history.find({ where: { number: '1' } }).map(h => h.action), ['optout', 'optin']);
+    assert.deepStrictEqual(history.find({ order: 'desc', limit: 2 }).map(h => h.number), ['3', '1']);
+    assert.strictEqual(history.count({ where: { action: 'optout' }, since: '2024-01-01T00:02:00.000Z' }), 1);
+    assert.strictEqual(history.count({ where: { action: ['optout', 'optin'] }, filter: h => h.number === '1' }), 2);
+    
+    // Records returned by a query can be changed in place and written back
+    const [reply] = history.find({ where: { action: 'reply' } });
+    reply.status = 'sent';
+    assert.strictEqual(await history.update(reply), true);
+    assert.strictEqual(driver.db.prepare('SELECT COUNT(*) AS count FROM history').get().count, 4);
+    assert.strictEqual(history.find({ where: { action: 'reply' } })[0].status, 'sent');
+    
+    assert.strictEqual(await history.remove(reply), true);
+    assert.strictEqual(history.count(), 3);
+});
+
+test('sqlite opt-out rows follow upserts and removals', { skip: !hasSqlite }, async t => {
+    const driver = openDriver(t);
+    await driver.set('optouts', ['447000000001', { number: '447000000002', scope: 'global' }]);
+    
+    const rows = driver.table('optouts');
+    const [legacy, stored] = await driver.get('optouts');
+    stored.channels = ['sms'];
+    await rows.update([stored, { number: '447000000003' }]);
+    await rows.remove(legacy);
+    
+    assert.deepStrictEqual(await driver.get('optouts'), [
+        { number: '447000000002', scope: 'global', channels: ['sms'] },
+        { number: '447000000003' }
+    ]);
+});
+
+test('memory log answers the same queries over its array', async () => {
+    const records = [entry('1', 'optout', 1), entry('2', 'optout', 2), entry('1', 'optin', 3)];
+    let saves = 0;
+    const history = createMemoryLog({ records, timeField: 'timestamp', save: async () => ++saves > 0 });
+    
+    assert.deepStrictEqual(history.find({ where: { number: '1' }, order: 'desc' }).map(h => h.action), ['optin', 'optout']);
+    assert.strictEqual(history.count({ where: { action: 'optout' }, until: '2024-01-01T00:01:00.000Z' }), 1);
+    
+    await history.add(entry('3', 'reply', 4));
+    await history.remove(records[0]);
+    assert.deepStrictEqual(records.map(h => h.number), ['2', '1', '3']);
+    assert.strictEqual(saves, 2);
+});
+
+test('message logs drop records submitted before the retention cutoff', { skip: !hasSqlite }, async t => {
+    const message = (messageId, day) => ({ messageId, to: '447000000001', status: 'delivered', submittedAt: `2024-01-0${day}T00:00:00.000Z` });
+    const memory = createMemoryLog({ records: [], timeField: 'submittedAt', uniqueKey: 'messageId', save: async () => true });
+    const table = openDriver(t).table('messages');
+    
+    for (const log of [memory, table]) {
+        await log.add([message('m1', 1), message('m2', 2), message('m3', 3)]);
+        const { removed, saved } = log.prune('2024-01-02T00:00:00.000Z');
+        assert.strictEqual(removed, 1);
+        assert.strictEqual(await saved, true);
+        assert.deepStrictEqual(log.find().map(m => m.messageId), ['m2', 'm3']);
+        assert.strictEqual(log.find({ where: { messageId: 'm1' } }).length, 0);
+    }
+});
+
+test('idempotency records are looked up by id and pruned once expired', { skip: !hasSqlite }, async t => {
+    const record = (id, hour) => ({ id, fingerprint: 'f', statusCode: 200, body: {}, expiresAt: `2024-01-01T${String(hour).padStart(2, '0')}:00:00.000Z` });
+    const logs = [
+        createMemoryLog({ records: [], timeField: 'expiresAt', uniqueKey: 'id', save: async () => true }),
+        openDriver(t).table('idempotency')
+    ];
+    
+    for (const log of logs) {
+        const store = createIdempotencyStore();
+        store.load(log);
+        const before = new Date('2024-01-01T00:30:00.000Z');
+        
+        assert.strictEqual(store.begin('a', 'f', before).state, 'new');
+        assert.strictEqual(await store.complete(record('a', 1)), true);
+        await store.complete(record('b', 3));
+        assert.strictEqual(store.begin('a', 'f', before).state, 'replay');
+        assert.strictEqual(store.begin('a', 'g', before).state, 'mismatch');
+        
+        const { removed, saved } = store.prune(new Date('2024-01-01T02:00:00.000Z'));
+        assert.strictEqual(removed, 1);
+        assert.strictEqual(await saved, true);
+        assert.strictEqual(store.begin('a', 'f', before).state, 'new');
+        assert.strictEqual(store.begin('b', 'f', before).state, 'replay');
+    }
+});
+
+test('idempotency records kept as a kv document move to their table', { skip: !hasSqlite }, t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optout-sqlite-'));
+    const filename = path.join(dir, 'test.db');
+    const old = createSqliteDriver({ filename, log: () => {} });
+    old.db.prepare('INSERT INTO kv (key, value) VALUES (?, ?)').run('idempotency', JSON.stringify([{ id: 'a', expiresAt: '2024-01-01T00:00:00.000Z' }]));
+    old.close();
+    
+    const driver = createSqliteDriver({ filename, log: () => {} });
+    t.after(() => {
+        driver.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    assert.deepStrictEqual(driver.table('idempotency').find({ where: { id: 'a' } }), [{ id: 'a', expiresAt: '2024-01-01T00:00:00.000Z' }]);
+    assert.strictEqual(driver.db.prepare("SELECT COUNT(*) AS count FROM kv WHERE key = 'idempotency'").get().count, 0);
+});